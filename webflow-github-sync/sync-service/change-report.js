@@ -0,0 +1,268 @@
+/**
+ * Per-sync change report
+ *
+ * Compares each re-scraped page with the copy the previous sync saved and
+ * records what actually changed: text blocks, elements and classes added or
+ * removed, new/dropped assets, <title>/meta changes and, with --screenshots,
+ * screenshots that changed by more than the threshold. Written to
+ * metadata/change-report.json and .md, and appended to the GitHub Actions
+ * job summary when GITHUB_STEP_SUMMARY is set.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { startTags, decodeEntities } = require('./html');
+
+// Per-page list caps so one redesigned page cannot bloat the report
+const MAX_LIST_ITEMS = 50;
+const MAX_TEXT_LENGTH = 200;
+const BLOCK_TAGS = 'address|article|aside|blockquote|br|dd|div|dl|dt|figcaption|figure|footer|form|h[1-6]|header|hr|li|main|nav|ol|p|section|table|td|th|tr|ul|title|button|label|option';
+
+class ChangeReport {
+  constructor(siteUrl) {
+    this.siteUrl = siteUrl;
+    this.pages = { added: [], removed: [], modified: [] };
+    this.assets = { added: [], removed: [] };
+    this.visual = [];
+  }
+
+  /**
+   * Record a fetched page. previousHtml is null for a page new to the mirror;
+   * previousAssets is the asset URL list from the old cache entry (null if
+   * unknown, which skips the asset comparison).
+   */
+  addPage(url, previousHtml, html, previousAssets = null, assets = []) {
+    const page = this.displayPath(url);
+    if (previousHtml === null) {
+      this.pages.added.push(page);
+      return;
+    }
+    const diff = this.diffPages(previousHtml, html, previousAssets, assets);
+    if (diff) this.pages.modified.push({ page, ...diff });
+  }
+
+  removePage(url) {
+    this.pages.removed.push(this.displayPath(url));
+  }
+
+  addAsset(url) {
+    this.assets.added.push(url);
+  }
+
+  removeAsset(url) {
+    this.assets.removed.push(url);
+  }
+
+  /**
+   * Record a screenshot over the visual diff threshold (diff in percent)
+   */
+  addVisualChange({ url, viewport, diff, diffFile }) {
+    this.visual.push({ page: this.displayPath(url), viewport, diff, diffFile });
+  }
+
+  displayPath(url) {
+    try {
+      return new URL(url).pathname;
+    } catch {
+      return url;
+    }
+  }
+
+  /**
+   * Structural diff of two HTML documents, or null when nothing differs
+   */
+  diffPages(oldHtml, newHtml, oldAssets, newAssets) {
+    const before = this.summarize(oldHtml);
+    const after = this.summarize(newHtml);
+    const diff = {};
+
+    if (before.title !== after.title) diff.title = { from: before.title, to: after.title };
+
+    const metaKeys = [...new Set([...Object.keys(before.meta), ...Object.keys(after.meta)])].sort();
+    const meta = metaKeys
+      .filter(key => before.meta[key] !== after.meta[key])
+      .map(key => ({ name: key, from: before.meta[key] ?? null, to: after.meta[key] ?? null }));
+    if (meta.length > 0) diff.meta = meta;
+
+    const text = this.diffLists(before.text, after.text);
+    if (text) diff.text = text;
+    const elements = this.diffLists(before.elements, after.elements);
+    if (elements) diff.elements = elements;
+    const classes = this.diffLists([...before.classes], [...after.classes]);
+    if (classes) diff.classes = classes;
+    if (oldAssets) {
+      const assets = this.diffLists([...new Set(oldAssets)], [...new Set(newAssets)]);
+      if (assets) diff.assets = assets;
+    }
+
+    return Object.keys(diff).length > 0 ? diff : null;
+  }
+
+  /**
+   * Multiset difference: entries only in before (removed) / only in after (added)
+   */
+  diffLists(before, after) {
+    const counts = new Map();
+    before.forEach(item => counts.set(item, (counts.get(item) || 0) - 1));
+    after.forEach(item => counts.set(item, (counts.get(item) || 0) + 1));
+
+    const added = [];
+    const removed = [];
+    for (const [item, count] of counts) {
+      for (let i = 0; i < Math.abs(count); i++) (count > 0 ? added : removed).push(item);
+    }
+    if (added.length === 0 && removed.length === 0) return null;
+    return { added: added.slice(0, MAX_LIST_ITEMS), removed: removed.slice(0, MAX_LIST_ITEMS) };
+  }
+
+  /**
+   * Title, meta tags, visible text blocks, element signatures
+   * (tag#id.class.class) and the set of classes used on the page
+   */
+  summarize(html) {
+    const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+    const meta = {};
+    for (const { attrs } of startTags(html, 'meta')) {
+      const key = attrs.name || attrs.property || attrs['http-equiv'];
+      if (key && attrs.content !== undefined) meta[key.toLowerCase()] = attrs.content;
+      else if (attrs.charset) meta.charset = attrs.charset;
+    }
+
+    const body = (html.match(/<body[^>]*>([\s\S]*)<\/body>/i) || [null, html])[1]
+      .replace(/<(script|style|noscript|template)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+      .replace(/<!--[\s\S]*?-->/g, '');
+    const text = body
+      .split(new RegExp(`<\\/?(?:${BLOCK_TAGS})\\b[^>]*>`, 'i'))
+      .map(block => decodeEntities(block.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .map(block => (block.length > MAX_TEXT_LENGTH ? block.slice(0, MAX_TEXT_LENGTH) + '…' : block));
+
+    const elements = [];
+    const classes = new Set();
+    for (const { name, attrs } of startTags(body)) {
+      const classList = (attrs.class || '').split(/\s+/).filter(Boolean);
+      classList.forEach(c => classes.add(c));
+      elements.push(name + (attrs.id ? `#${attrs.id}` : '') + classList.map(c => `.${c}`).join(''));
+    }
+
+    return {
+      title: title ? decodeEntities(title[1]).replace(/\s+/g, ' ').trim() : null,
+      meta,
+      text,
+      elements,
+      classes
+    };
+  }
+
+  hasChanges() {
+    return this.pages.added.length + this.pages.removed.length + this.pages.modified.length +
+      this.assets.added.length + this.assets.removed.length + this.visual.length > 0;
+  }
+
+  /**
+   * Counts for last-sync.json
+   */
+  summary() {
+    return {
+      pagesAdded: this.pages.added.length,
+      pagesRemoved: this.pages.removed.length,
+      pagesModified: this.pages.modified.length,
+      assetsAdded: this.assets.added.length,
+      assetsRemoved: this.assets.removed.length,
+      visualChanges: this.visual.length
+    };
+  }
+
+  toJSON() {
+    return {
+      timestamp: new Date().toISOString(),
+      siteUrl: this.siteUrl,
+      summary: this.summary(),
+      pages: this.pages,
+      assets: this.assets,
+      visual: this.visual
+    };
+  }
+
+  toMarkdown() {
+    const s = this.summary();
+    const lines = [
+      `## Webflow sync: ${this.siteUrl}`,
+      '',
+      `**${s.pagesModified} modified, ${s.pagesAdded} added, ${s.pagesRemoved} removed pages** · ${s.assetsAdded} new, ${s.assetsRemoved} removed assets`,
+      ''
+    ];
+    if (!this.hasChanges()) {
+      lines.push('No content changes.', '');
+      return lines.join('\n');
+    }
+
+    const code = value => `\`${String(value).replace(/`/g, "'")}\``;
+    const quote = value => (value === null ? '_(none)_' : `"${value}"`);
+    const list = (title, items) => {
+      if (items.length === 0) return;
+      lines.push(`### ${title}`, '', ...items.map(item => `- ${code(item)}`), '');
+    };
+
+    list('Added pages', this.pages.added);
+    list('Removed pages', this.pages.removed);
+
+    if (this.pages.modified.length > 0) {
+      lines.push('### Modified pages', '');
+      for (const page of this.pages.modified) {
+        lines.push(`#### ${code(page.page)}`, '');
+        if (page.title) lines.push(`- **Title:** ${quote(page.title.from)} → ${quote(page.title.to)}`);
+        (page.meta || []).forEach(m => lines.push(`- **Meta ${m.name}:** ${quote(m.from)} → ${quote(m.to)}`));
+        if (page.elements) {
+          if (page.elements.added.length) lines.push(`- **Elements added:** ${page.elements.added.map(code).join(', ')}`);
+          if (page.elements.removed.length) lines.push(`- **Elements removed:** ${page.elements.removed.map(code).join(', ')}`);
+        }
+        if (page.classes) {
+          if (page.classes.added.length) lines.push(`- **Classes added:** ${page.classes.added.map(code).join(', ')}`);
+          if (page.classes.removed.length) lines.push(`- **Classes removed:** ${page.classes.removed.map(code).join(', ')}`);
+        }
+        if (page.assets) {
+          if (page.assets.added.length) lines.push(`- **New assets:** ${page.assets.added.map(code).join(', ')}`);
+          if (page.assets.removed.length) lines.push(`- **Dropped assets:** ${page.assets.removed.map(code).join(', ')}`);
+        }
+        if (page.text) {
+          lines.push('- **Text:**', '', '```diff');
+          page.text.removed.forEach(t => lines.push(`- ${t}`));
+          page.text.added.forEach(t => lines.push(`+ ${t}`));
+          lines.push('```');
+        }
+        lines.push('');
+      }
+    }
+
+    list('New assets', this.assets.added);
+    list('Removed assets', this.assets.removed);
+
+    if (this.visual.length > 0) {
+      lines.push('### Visual changes', '', '| Page | Viewport | Pixels changed | Diff |', '|------|----------|----------------|------|');
+      this.visual.forEach(v => lines.push(`| ${code(v.page)} | ${v.viewport} | ${v.diff}% | ${code(v.diffFile)} |`));
+      lines.push('');
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Write change-report.json/.md and append to the Actions job summary
+   */
+  async write(metadataDir) {
+    const markdown = this.toMarkdown();
+    await fs.mkdir(metadataDir, { recursive: true });
+    await fs.writeFile(path.join(metadataDir, 'change-report.json'), JSON.stringify(this.toJSON(), null, 2));
+    await fs.writeFile(path.join(metadataDir, 'change-report.md'), markdown + '\n');
+
+    if (process.env.GITHUB_STEP_SUMMARY) {
+      try {
+        await fs.appendFile(process.env.GITHUB_STEP_SUMMARY, markdown + '\n');
+      } catch (err) {
+        console.warn('⚠ Could not write job summary:', err.message);
+      }
+    }
+  }
+}
+
+module.exports = { ChangeReport };
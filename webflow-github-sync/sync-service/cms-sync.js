@@ -0,0 +1,312 @@
+#!/usr/bin/env node
+/**
+ * Webflow CMS Export via the Data API v2
+ *
+ * Lists the site's collections, their schemas and items, and writes each item
+ * to webflow-repo/cms/<collection>/<slug>.json (or .md with front matter);
+ * sites in webflow-sync.config.json export under their own outputDir.
+ * Items whose lastUpdated matches cms-cache.json are skipped, the same way
+ * scrape-cache.json skips unchanged pages.
+ *
+ * Requires WEBFLOW_API_TOKEN. WEBFLOW_API_BASE points it at another server,
+ * e.g. the offline mock in fixtures/mock-webflow-api.js.
+ */
+
+const https = require('https');
+const http = require('http');
+const fs = require('fs').promises;
+const path = require('path');
+const { URL } = require('url');
+const { loadEnv, getArg, resolveSites, OUTPUT_DIR } = require('./incremental-scraper');
+
+// Configuration
+const DEFAULT_API_BASE = 'https://api.webflow.com/v2';
+const ITEMS_PAGE_SIZE = 100;
+const MAX_RATE_LIMIT_RETRIES = 3;
+const CMS_CACHE_FILE = 'cms-cache.json'; // in the site's metadata dir
+
+class CmsSync {
+  constructor(apiToken, options = {}) {
+    this.apiToken = apiToken;
+    this.apiBase = (options.apiBase || DEFAULT_API_BASE).replace(/\/$/, '');
+    this.siteId = options.siteId || null;
+    this.format = options.format === 'md' ? 'md' : 'json';
+    this.fullSync = options.fullSync || false;
+    this.outputDir = options.outputDir || OUTPUT_DIR;
+    this.metadataDir = path.join(this.outputDir, 'metadata');
+    this.cache = { items: {} };
+    this.stats = { written: 0, skipped: 0, removed: 0 };
+    this.written = new Set(); // files written this run - a reused slug must not be deleted
+  }
+
+  /**
+   * GET an API path and parse JSON. Waits out 429s using Retry-After.
+   */
+  async apiGet(apiPath, attempt = 0) {
+    const url = new URL(this.apiBase + apiPath);
+    const protocol = url.protocol === 'https:' ? https : http;
+
+    const { statusCode, headers, body } = await new Promise((resolve, reject) => {
+      const req = protocol.request(url, {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${this.apiToken}`,
+          'Accept': 'application/json',
+          'User-Agent': 'Webflow-GitHub-Sync/1.0'
+        },
+        timeout: 30000
+      }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => resolve({
+          statusCode: res.statusCode,
+          headers: res.headers,
+          body: Buffer.concat(chunks).toString('utf-8')
+        }));
+      });
+      req.on('error', reject);
+      req.on('timeout', () => {
+        req.destroy();
+        reject(new Error('Request timeout'));
+      });
+      req.end();
+    });
+
+    if (statusCode === 429 && attempt < MAX_RATE_LIMIT_RETRIES) {
+      const waitSec = parseInt(headers['retry-after'], 10) || 60;
+      console.warn(`⚠ Rate limited - retrying in ${waitSec}s`);
+      await new Promise(r => setTimeout(r, waitSec * 1000));
+      return this.apiGet(apiPath, attempt + 1);
+    }
+    if (statusCode !== 200) {
+      throw new Error(`Webflow API ${statusCode} for ${apiPath}: ${body.slice(0, 200)}`);
+    }
+    return JSON.parse(body);
+  }
+
+  /**
+   * Pick the site: WEBFLOW_SITE_ID if given, else the only/first site the token sees
+   */
+  async resolveSite() {
+    const { sites = [] } = await this.apiGet('/sites');
+    if (this.siteId) {
+      const site = sites.find(s => s.id === this.siteId);
+      if (!site) throw new Error(`Site ${this.siteId} is not accessible with this token`);
+      return site;
+    }
+    if (sites.length === 0) throw new Error('No sites accessible with this token');
+    if (sites.length > 1) {
+      console.warn(`⚠ Token can access ${sites.length} sites - using "${sites[0].displayName}". Set WEBFLOW_SITE_ID to choose.`);
+    }
+    return sites[0];
+  }
+
+  /**
+   * All items of a collection, following offset pagination
+   */
+  async listItems(collectionId) {
+    const items = [];
+    let offset = 0;
+    while (true) {
+      const page = await this.apiGet(`/collections/${collectionId}/items?offset=${offset}&limit=${ITEMS_PAGE_SIZE}`);
+      const pageItems = page.items || [];
+      items.push(...pageItems);
+      offset += pageItems.length;
+      if (pageItems.length === 0 || offset >= (page.pagination?.total ?? offset)) break;
+    }
+    return items;
+  }
+
+  async loadCache() {
+    try {
+      this.cache = JSON.parse(await fs.readFile(path.join(this.metadataDir, CMS_CACHE_FILE), 'utf-8'));
+      if (!this.cache.items) this.cache.items = {};
+    } catch {
+      this.cache = { items: {} };
+    }
+  }
+
+  async saveCache() {
+    await fs.mkdir(this.metadataDir, { recursive: true });
+    await fs.writeFile(path.join(this.metadataDir, CMS_CACHE_FILE), JSON.stringify(this.cache, null, 2));
+  }
+
+  /**
+   * Safe file/directory name from a Webflow slug
+   */
+  slugToFilename(slug, fallback) {
+    const name = String(slug || '').replace(/[^a-zA-Z0-9-_]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
+    return name || fallback;
+  }
+
+  /**
+   * Serialize an item as JSON, or Markdown with front matter. In Markdown the
+   * first RichText field becomes the body; JSON values are valid YAML scalars.
+   */
+  serializeItem(item, schema) {
+    const record = {
+      id: item.id,
+      lastUpdated: item.lastUpdated,
+      lastPublished: item.lastPublished || null,
+      createdOn: item.createdOn,
+      isDraft: item.isDraft || false,
+      isArchived: item.isArchived || false,
+      fieldData: item.fieldData || {}
+    };
+    if (this.format === 'json') return JSON.stringify(record, null, 2) + '\n';
+
+    const bodyField = (schema.fields || []).find(f => f.type === 'RichText');
+    const fields = { ...record.fieldData };
+    const body = bodyField ? fields[bodyField.slug] || '' : '';
+    if (bodyField) delete fields[bodyField.slug];
+
+    const frontMatter = { ...record, fieldData: undefined, ...fields };
+    const lines = Object.entries(frontMatter)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => `${key}: ${JSON.stringify(value)}`);
+    return `---\n${lines.join('\n')}\n---\n\n${body}\n`;
+  }
+
+  /**
+   * Delete an item's old file unless another item was written to it this run
+   * (its slug was reused, or two items swapped slugs)
+   */
+  async removeFile(file) {
+    if (this.written.has(file)) return;
+    await fs.rm(path.join(this.outputDir, file), { force: true });
+  }
+
+  /**
+   * Export one collection: schema, changed items, and removal of deleted items
+   */
+  async syncCollection(collection) {
+    const schema = await this.apiGet(`/collections/${collection.id}`);
+    const dirName = this.slugToFilename(collection.slug || schema.slug, collection.id);
+    const dir = path.join(this.outputDir, 'cms', dirName);
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, '_schema.json'), JSON.stringify(schema, null, 2) + '\n');
+
+    const items = await this.listItems(collection.id);
+    const seen = new Set();
+    for (const item of items) {
+      seen.add(item.id);
+      const filename = this.slugToFilename(item.fieldData?.slug, item.id) + '.' + this.format;
+      const file = path.posix.join('cms', dirName, filename);
+      const cached = this.cache.items[item.id];
+
+      if (!this.fullSync && cached && cached.lastUpdated === item.lastUpdated && cached.file === file) {
+        this.stats.skipped++;
+        continue;
+      }
+
+      // Slug or format changed - drop the old file
+      if (cached && cached.file !== file) await this.removeFile(cached.file);
+      await fs.writeFile(path.join(this.outputDir, file), this.serializeItem(item, schema));
+      this.written.add(file);
+      this.cache.items[item.id] = { collectionId: collection.id, lastUpdated: item.lastUpdated, file };
+      this.stats.written++;
+    }
+
+    // Items deleted in Webflow
+    for (const [id, cached] of Object.entries(this.cache.items)) {
+      if (cached.collectionId !== collection.id || seen.has(id)) continue;
+      await this.removeFile(cached.file);
+      delete this.cache.items[id];
+      this.stats.removed++;
+    }
+
+    return items.length;
+  }
+
+  /**
+   * Main export logic
+   */
+  async run() {
+    const start = Date.now();
+    console.log('⚡ Webflow CMS Export Starting...');
+    await this.loadCache();
+
+    const site = await this.resolveSite();
+    console.log(`Site: ${site.displayName || site.shortName} (${site.id})`);
+
+    const { collections = [] } = await this.apiGet(`/sites/${site.id}/collections`);
+    console.log(`✓ Found ${collections.length} collections`);
+
+    for (const collection of collections) {
+      const count = await this.syncCollection(collection);
+      console.log(`   ${collection.displayName || collection.slug}: ${count} items`);
+    }
+
+    // Collections deleted in Webflow
+    const collectionIds = new Set(collections.map(c => c.id));
+    for (const [id, cached] of Object.entries(this.cache.items)) {
+      if (collectionIds.has(cached.collectionId)) continue;
+      await this.removeFile(cached.file);
+      delete this.cache.items[id];
+      this.stats.removed++;
+    }
+
+    this.cache.siteId = site.id;
+    this.cache.timestamp = new Date().toISOString();
+    await this.saveCache();
+
+    const totalTime = Date.now() - start;
+    console.log(`\n✓ CMS export complete in ${totalTime}ms`);
+    console.log(`   Written: ${this.stats.written}  Skipped: ${this.stats.skipped}  Removed: ${this.stats.removed}`);
+    return { success: true, totalTime, ...this.stats };
+  }
+}
+
+// Main entry point
+async function main() {
+  loadEnv();
+  let sites;
+  try {
+    sites = resolveSites();
+  } catch (err) {
+    console.error('✗ Invalid site config:', err.message);
+    process.exit(1);
+  }
+
+  // Sites in webflow-sync.config.json can name their own token variable
+  // (apiTokenEnv), since Webflow site tokens only see one site
+  const tokenFor = site => process.env[site.apiTokenEnv] || process.env.WEBFLOW_API_TOKEN;
+  if (!sites.some(tokenFor)) {
+    console.error('✗ WEBFLOW_API_TOKEN environment variable is required');
+    console.error('  Create a site API token in Webflow: Site settings → Apps & integrations → API access');
+    process.exit(1);
+  }
+
+  let success = true;
+  for (const site of sites) {
+    if (site.name) {
+      console.log(`\n🌐 ${site.name}`);
+      if (!site.siteId || !tokenFor(site)) {
+        console.log('   Skipped - set siteId and an API token to export its CMS collections');
+        continue;
+      }
+    }
+    const cmsSync = new CmsSync(tokenFor(site), {
+      apiBase: process.env.WEBFLOW_API_BASE,
+      siteId: site.siteId,
+      outputDir: site.outputDir,
+      format: getArg('format', process.env.CMS_FORMAT),
+      fullSync: process.argv.includes('--full')
+    });
+
+    try {
+      const result = await cmsSync.run();
+      success = success && result.success;
+    } catch (err) {
+      console.error('✗ CMS export failed:', err.message);
+      success = false;
+    }
+  }
+  process.exit(success ? 0 : 1);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { CmsSync };
@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+/**
+ * Static export (npm run export)
+ *
+ * Builds a deployable dist/ tree from the mirror in webflow-repo/, for
+ * GitHub Pages or any static host:
+ *   - pages at their original paths with pretty URLs (/about -> about/index.html)
+ *   - css/, js/ and assets/ copied as they are; page references rewritten
+ *     relative to each page's new location, page links in /about/ form
+ *   - _redirects (Netlify / Cloudflare Pages format) for pages that export
+ *     to another page's file (/About next to /about), sending them there
+ *   - 404.html from the site's own /404 page when mirrored, else a plain one
+ * Finally every local href/src/srcset/url() in dist/ is checked against the
+ * files written; a missing target fails the export.
+ *
+ *   npm run export [-- --out=DIR] [--base-path=/repo/]
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { loadEnv, getArg, resolveSites, PROJECT_ROOT } = require('./incremental-scraper');
+const { UrlMap, urlToFilename, mapReferences } = require('./url-map');
+
+const COPIED_DIRS = ['css', 'js', 'assets'];
+const SKIPPED_REFERENCE = /^(?:#|[a-z][a-z0-9+.-]*:|\/\/)/i;
+
+class StaticExport {
+  /**
+   * sourceDir is a site's mirror (webflow-repo/); basePath is the URL path
+   * dist/ is served from, used by 404.html which is served at any depth
+   */
+  constructor(sourceDir, distDir, { basePath = '/' } = {}) {
+    this.sourceDir = sourceDir;
+    this.distDir = distDir;
+    this.basePath = basePath.replace(/\/*$/, '/');
+    this.pages = new Map(); // mirror file (html/about.html) -> dist file (about/index.html)
+    this.redirects = [];
+    this.missing = [];
+  }
+
+  async run() {
+    const cache = JSON.parse(await fs.readFile(path.join(this.sourceDir, 'metadata', 'scrape-cache.json'), 'utf-8'));
+    // Mirrors synced before metadata/url-map.json existed are flat
+    const urlMap = await UrlMap.read(path.join(this.sourceDir, 'metadata', 'url-map.json'));
+    const mirrorFile = key => urlMap?.pages[key] || `html/${urlToFilename(key, '.html')}`;
+    this.mapPages(Object.keys(cache).filter(key => key !== 'assets'), mirrorFile);
+
+    await fs.rm(this.distDir, { recursive: true, force: true });
+    await fs.mkdir(this.distDir, { recursive: true });
+    for (const dir of COPIED_DIRS) {
+      await fs.cp(path.join(this.sourceDir, dir), path.join(this.distDir, dir), { recursive: true }).catch(err => {
+        if (err.code !== 'ENOENT') throw err;
+      });
+    }
+
+    let written = 0;
+    for (const [source, target] of this.pages) {
+      let html;
+      try {
+        html = await fs.readFile(path.join(this.sourceDir, source), 'utf-8');
+      } catch {
+        console.warn(`⚠ ${source} is in the cache but not in the mirror - skipped (run a sync with --full)`);
+        this.pages.delete(source);
+        continue;
+      }
+      await this.write(target, mapReferences(html, value => this.rewriteReference(value, source, target)));
+      written++;
+    }
+
+    if (this.redirects.length > 0) {
+      await this.write('_redirects', this.redirects.map(([from, to]) => `${from}  ${to}  301`).join('\n') + '\n');
+    }
+    await this.write404();
+    await this.verify();
+    return { pages: written, redirects: this.redirects.length, missing: this.missing };
+  }
+
+  /**
+   * Map cache keys (normalized page URLs) to their mirror and dist files.
+   * Paths ending in .html keep their file name; others become dir/index.html.
+   * A page whose file another page already has (the same path up to case or
+   * encoding) is redirected to that page. Trailing-slash variants need no
+   * redirect - static hosts serve /about from about/index.html themselves.
+   */
+  mapPages(keys, mirrorFile) {
+    const taken = new Map(); // lower-cased dist file -> [key, dist file]
+    for (const key of keys.sort()) {
+      let pathname;
+      try {
+        pathname = decodeURIComponent(new URL(key).pathname).replace(/^\/+|\/+$/g, '');
+      } catch {
+        continue;
+      }
+      const target = !pathname ? 'index.html' : /\.html?$/i.test(pathname) ? pathname : `${pathname}/index.html`;
+      const owner = taken.get(target.toLowerCase());
+      if (owner) {
+        const from = new URL(key).pathname;
+        const to = this.urlPath(owner[1]);
+        const redirect = from !== to.replace(/\/$/, '');
+        console.warn(`⚠ ${key} and ${owner[0]} both export to ${owner[1]} - ${redirect ? `redirecting ${from} to ${to}` : 'keeping the first'}`);
+        if (redirect) this.redirects.push([from, to]);
+        continue;
+      }
+      taken.set(target.toLowerCase(), [key, target]);
+      this.pages.set(mirrorFile(key), target);
+    }
+  }
+
+  /**
+   * Root-relative URL of a dist file (about/index.html -> /about/)
+   */
+  urlPath(file) {
+    return '/' + encodeURI(file.replace(/(^|\/)index\.html$/, '$1'));
+  }
+
+  /**
+   * Relative mirror reference -> reference from the dist file. Pages are
+   * linked in directory form (../about/); other files keep their path.
+   */
+  rewriteReference(value, source, target) {
+    const trimmed = value.trim();
+    if (!trimmed || SKIPPED_REFERENCE.test(trimmed) || trimmed.startsWith('/')) return value;
+
+    const [, refPath, suffix] = trimmed.match(/^([^?#]*)(.*)$/);
+    let file;
+    try {
+      file = path.posix.normalize(path.posix.join(path.posix.dirname(source), decodeURI(refPath)));
+    } catch {
+      return value;
+    }
+    const page = this.pages.get(file);
+    const fromDir = path.posix.dirname(target);
+    if (page && path.posix.basename(page) === 'index.html') {
+      const relative = path.posix.relative(fromDir, path.posix.dirname(page));
+      return encodeURI(relative ? `${relative}/` : './') + suffix;
+    }
+    return encodeURI(path.posix.relative(fromDir, page || file)) + suffix;
+  }
+
+  /**
+   * 404.html: the mirrored /404 page with root-relative references (it is
+   * served at any depth), or a minimal page linking home
+   */
+  async write404() {
+    let html;
+    if ([...this.pages.values()].includes('404/index.html')) {
+      const page = await fs.readFile(path.join(this.distDir, '404', 'index.html'), 'utf-8');
+      html = mapReferences(page, value => this.rootRelative(value, '404/index.html'));
+    } else {
+      html = [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '  <meta charset="utf-8">',
+        '  <meta name="viewport" content="width=device-width, initial-scale=1">',
+        '  <meta name="robots" content="noindex">',
+        '  <title>Page not found</title>',
+        '  <style>body{font-family:system-ui,sans-serif;text-align:center;padding:15vh 1rem;color:#222}a{color:inherit}</style>',
+        '</head>',
+        '<body>',
+        '  <h1>Page not found</h1>',
+        `  <p>The page you are looking for doesn't exist or has been moved. <a href="${this.basePath}">Go to the home page</a></p>`,
+        '</body>',
+        '</html>',
+        ''
+      ].join('\n');
+    }
+    await this.write('404.html', html);
+  }
+
+  rootRelative(value, fromFile) {
+    const trimmed = value.trim();
+    if (!trimmed || SKIPPED_REFERENCE.test(trimmed) || trimmed.startsWith('/')) return value;
+    const [, refPath, suffix] = trimmed.match(/^([^?#]*)(.*)$/);
+    const resolved = path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), refPath));
+    return this.basePath + resolved.replace(/^\.\/?$/, '') + suffix;
+  }
+
+  /**
+   * Check that every local reference in the exported HTML and CSS resolves
+   * to a file in dist/ (directory references to their index.html)
+   */
+  async verify() {
+    const files = await this.listFiles(this.distDir);
+    const exists = new Set(files);
+    for (const file of files.filter(f => /\.(html|css)$/.test(f))) {
+      const content = await fs.readFile(path.join(this.distDir, file), 'utf-8');
+      const refs = [];
+      mapReferences(content, value => {
+        refs.push(value);
+        return value;
+      }, file.endsWith('.css') ? 'css' : 'html');
+
+      for (const ref of new Set(refs.map(r => r.trim()))) {
+        const target = this.resolveLocal(ref, file);
+        if (target === null) continue;
+        if (exists.has(target) || exists.has(path.posix.join(target, 'index.html'))) continue;
+        this.missing.push({ file, reference: ref });
+      }
+    }
+    for (const [, to] of this.redirects) {
+      const target = decodeURI(to).slice(1);
+      if (!exists.has(target) && !exists.has(path.posix.join(target, 'index.html'))) {
+        this.missing.push({ file: '_redirects', reference: to });
+      }
+    }
+  }
+
+  /**
+   * dist-relative path a reference points at, or null for external URLs,
+   * fragments and data: URIs. Root-relative paths resolve against basePath.
+   */
+  resolveLocal(ref, fromFile) {
+    if (!ref || SKIPPED_REFERENCE.test(ref)) return null;
+    let refPath = ref.replace(/[?#].*$/, '');
+    try {
+      refPath = decodeURI(refPath);
+    } catch {}
+    if (refPath.startsWith('/')) {
+      if (!refPath.startsWith(this.basePath)) return null;
+      return path.posix.normalize(refPath.slice(this.basePath.length) || '.').replace(/^\.\/?$/, '');
+    }
+    if (!refPath) return null;
+    return path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), refPath)).replace(/^\.\/?$/, '');
+  }
+
+  async listFiles(dir, prefix = '') {
+    const files = [];
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) files.push(...await this.listFiles(path.join(dir, entry.name), relative));
+      else files.push(relative);
+    }
+    return files;
+  }
+
+  async write(file, content) {
+    const filepath = path.join(this.distDir, file);
+    await fs.mkdir(path.dirname(filepath), { recursive: true });
+    await fs.writeFile(filepath, content);
+  }
+}
+
+function contains(parent, child) {
+  const relative = path.relative(parent, child);
+  return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+async function main() {
+  loadEnv();
+  let sites;
+  try {
+    sites = resolveSites();
+  } catch (err) {
+    console.error('✗ Invalid site config:', err.message);
+    process.exit(1);
+  }
+
+  const defaultOut = path.join(PROJECT_ROOT, 'dist');
+  const out = path.resolve(getArg('out', process.env.EXPORT_DIR) || defaultOut);
+  const basePath = getArg('base-path', process.env.EXPORT_BASE_PATH) || '/';
+  let failed = false;
+  for (const site of sites) {
+    const label = site.name ? `${site.name}: ` : '';
+    const distDir = site.name && sites.length > 1 ? path.join(out, site.name) : out;
+    // dist/ is wiped on every export - never let it hold or sit inside the
+    // mirror, or anywhere in the project but dist/
+    const unsafe = contains(distDir, site.outputDir) || contains(distDir, PROJECT_ROOT)
+      ? 'it contains the mirror or the project'
+      : contains(site.outputDir, distDir)
+        ? 'it is inside the mirror'
+        : contains(PROJECT_ROOT, distDir) && !contains(defaultOut, distDir)
+          ? `it is inside the project - use ${path.relative(process.cwd(), defaultOut) || defaultOut} or a directory outside it`
+          : null;
+    if (unsafe) {
+      console.error(`✗ ${label}Refusing to export into ${distDir} - ${unsafe}`);
+      failed = true;
+      continue;
+    }
+
+    const exporter = new StaticExport(site.outputDir, distDir, { basePath });
+    let result;
+    try {
+      result = await exporter.run();
+    } catch (err) {
+      console.error(`✗ ${label}Export failed:`, err.code === 'ENOENT' ? `no mirror in ${site.outputDir} - run a sync first` : err.message);
+      failed = true;
+      continue;
+    }
+
+    const redirects = result.redirects > 0 ? ` and ${result.redirects} redirects` : '';
+    console.log(`✓ ${label}Exported ${result.pages} pages${redirects} to ${path.relative(process.cwd(), distDir) || '.'}`);
+    for (const m of result.missing) {
+      const message = `${label}${m.file} references missing file ${m.reference}`;
+      console.log(process.env.GITHUB_ACTIONS ? `::error::${message}` : `✗ ${message}`);
+    }
+    if (result.missing.length > 0) failed = true;
+  }
+  if (failed) process.exit(1);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { StaticExport };
@@ -0,0 +1,62 @@
+/**
+ * Shared runner for the offline fixture checks (cms:check, render:check)
+ *
+ * A check is a list of named steps run in order; a step fails when its run()
+ * throws (assert). Prints one ✓/✗ line per step and a summary, and exits
+ * non-zero when a step failed or the setup itself threw.
+ */
+
+/**
+ * Run fn() with console.log silenced and console.warn/error collected:
+ * { result, messages }
+ */
+async function quietly(fn) {
+  const messages = [];
+  const { log, warn, error } = console;
+  console.log = () => {};
+  console.warn = console.error = (...args) => messages.push(args.join(' '));
+  try {
+    return { result: await fn(), messages };
+  } finally {
+    console.log = log;
+    console.warn = warn;
+    console.error = error;
+  }
+}
+
+/**
+ * setup() starts whatever the check needs and resolves { steps, cleanup };
+ * cleanup runs after the last step, whether or not they passed
+ */
+async function runCheck(title, setup) {
+  let failed = 0;
+  let steps = [];
+  try {
+    const check = await setup();
+    steps = check.steps;
+    try {
+      for (const step of steps) {
+        try {
+          await step.run();
+          console.log(`✓ ${step.name}`);
+        } catch (err) {
+          console.log(`✗ ${step.name}\n${err.message}`);
+          failed++;
+        }
+      }
+    } finally {
+      if (check.cleanup) await check.cleanup();
+    }
+  } catch (err) {
+    console.error(`✗ ${title} failed:`, err.message);
+    process.exit(1);
+  }
+
+  if (failed > 0) {
+    console.log(`\n✗ ${title} failed (${failed} of ${steps.length} steps)`);
+    process.exit(1);
+  }
+  console.log(`\n✓ ${title} passed (${steps.length} steps)`);
+}
+
+module.exports = { runCheck, quietly };
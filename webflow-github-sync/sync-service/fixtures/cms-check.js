@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/**
+ * Offline check of the CMS export against the mock Webflow API
+ *
+ * Runs CmsSync into a temporary directory several times, editing the mock's
+ * data in memory between runs, and asserts what each run wrote, skipped and
+ * removed: first export, unchanged re-run, an update, a deleted item whose
+ * slug is reused by a renamed item, and two items swapping slugs.
+ *
+ *   npm run cms:check
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createMockApi, FIXTURE_FILE } = require('./mock-webflow-api');
+const { runCheck, quietly } = require('./check');
+const { CmsSync } = require('../cms-sync');
+
+/**
+ * Files under cms/ (without _schema.json) -> item id they hold
+ */
+async function exportedItems(outputDir) {
+  const items = {};
+  const root = path.join(outputDir, 'cms');
+  for (const dir of await fs.readdir(root)) {
+    for (const file of await fs.readdir(path.join(root, dir))) {
+      if (file === '_schema.json') continue;
+      items[`${dir}/${file}`] = JSON.parse(await fs.readFile(path.join(root, dir, file), 'utf-8')).id;
+    }
+  }
+  return items;
+}
+
+runCheck('CMS export check', async () => {
+  const fixture = JSON.parse(await fs.readFile(FIXTURE_FILE, 'utf-8'));
+  const item = id => Object.values(fixture.items).flat().find(i => i.id === id);
+  const server = createMockApi({ loadFixture: () => fixture });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cms-check-'));
+
+  const runs = [
+    {
+      name: 'first export writes every item',
+      expect: { written: 4, skipped: 0, removed: 0 },
+      files: {
+        'blog/first-post.json': 'item-post-1',
+        'blog/second-post.json': 'item-post-2',
+        'blog/draft-post.json': 'item-post-3',
+        'team/jane-doe.json': 'item-jane'
+      }
+    },
+    {
+      name: 'unchanged items are skipped',
+      expect: { written: 0, skipped: 4, removed: 0 }
+    },
+    {
+      name: 'deleted item\'s slug reused by a renamed item',
+      edit() {
+        item('item-post-1').lastUpdated = '2026-02-01T10:00:00.000Z';
+        fixture.items['col-blog'] = fixture.items['col-blog'].filter(i => i.id !== 'item-post-2');
+        item('item-post-3').lastUpdated = '2026-02-01T10:00:00.000Z';
+        item('item-post-3').fieldData.slug = 'second-post';
+        item('item-jane').lastUpdated = '2026-02-01T10:00:00.000Z';
+        item('item-jane').fieldData.slug = 'jane-smith';
+      },
+      expect: { written: 3, skipped: 0, removed: 1 },
+      files: {
+        'blog/first-post.json': 'item-post-1',
+        'blog/second-post.json': 'item-post-3',
+        'team/jane-smith.json': 'item-jane'
+      }
+    },
+    {
+      name: 'two items swap slugs',
+      edit() {
+        for (const [id, slug] of [['item-post-1', 'second-post'], ['item-post-3', 'first-post']]) {
+          item(id).lastUpdated = '2026-03-01T10:00:00.000Z';
+          item(id).fieldData.slug = slug;
+        }
+      },
+      expect: { written: 2, skipped: 1, removed: 0 },
+      files: {
+        'blog/first-post.json': 'item-post-3',
+        'blog/second-post.json': 'item-post-1',
+        'team/jane-smith.json': 'item-jane'
+      }
+    }
+  ];
+
+  // Each run edits the fixture, exports into the same directory and checks
+  // the counts and the files now under cms/
+  const steps = runs.map(step => ({
+    name: step.name,
+    async run() {
+      if (step.edit) step.edit();
+      const cmsSync = new CmsSync('test', {
+        apiBase: `http://127.0.0.1:${server.address().port}/v2`,
+        outputDir
+      });
+      const { result: { written, skipped, removed } } = await quietly(() => cmsSync.run());
+      assert.deepStrictEqual({ written, skipped, removed }, step.expect);
+      if (step.files) assert.deepStrictEqual(await exportedItems(outputDir), step.files);
+    }
+  }));
+
+  return {
+    steps,
+    async cleanup() {
+      server.close();
+      await fs.rm(outputDir, { recursive: true, force: true });
+    }
+  };
+});
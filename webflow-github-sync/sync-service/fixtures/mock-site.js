@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * Offline fixture site for --render
+ *
+ * Serves fixtures/site/: pages whose content is built by JavaScript (split
+ * headings, a CMS list filled from fetch(), a team list loaded with
+ * XMLHttpRequest). /api/ responses are delayed so rendering has to wait for
+ * network idle. Pretty URLs resolve to .html files.
+ *
+ *   node sync-service/fixtures/mock-site.js
+ *   WEBFLOW_SITE_URL=http://localhost:4020 npm run sync -- --render
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('url');
+
+const DEFAULT_PORT = 4020;
+const API_DELAY_MS = 300;
+const SITE_DIR = path.join(__dirname, 'site');
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css',
+  '.js': 'application/javascript',
+  '.json': 'application/json'
+};
+
+/**
+ * Create (not start) the fixture server. Files are re-read per request.
+ */
+function createMockSite() {
+  return http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const relative = path.normalize(decodeURIComponent(pathname)).replace(/^(\.\.[/\\])+/, '');
+    let file = path.join(SITE_DIR, relative === '/' ? 'index.html' : relative);
+    if (!path.extname(file)) file += '.html';
+
+    fs.readFile(file, (err, body) => {
+      if (err) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        return res.end('Not found');
+      }
+      const send = () => {
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+        res.end(body);
+      };
+      if (pathname.startsWith('/api/')) setTimeout(send, API_DELAY_MS);
+      else send();
+    });
+  });
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.PORT, 10) || DEFAULT_PORT;
+  createMockSite().listen(port, () => {
+    console.log(`Fixture site listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = { createMockSite };
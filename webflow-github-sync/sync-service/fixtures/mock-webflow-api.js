@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/**
+ * Mock Webflow Data API v2 for offline CMS export runs
+ *
+ * Serves the sites, collections and items in webflow-api.json. Item pages are
+ * capped at 2 per request so pagination is exercised. Edit the JSON (e.g. bump
+ * an item's lastUpdated) to simulate CMS changes between runs.
+ *
+ *   node sync-service/fixtures/mock-webflow-api.js
+ *   WEBFLOW_API_BASE=http://localhost:4010/v2 WEBFLOW_API_TOKEN=test npm run cms:sync
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('url');
+
+const DEFAULT_PORT = 4010;
+const MAX_ITEMS_PER_PAGE = 2;
+const FIXTURE_FILE = path.join(__dirname, 'webflow-api.json');
+
+function sendJson(res, statusCode, data) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Create (not start) the mock server. Fixture data is re-read per request;
+ * loadFixture() replaces webflow-api.json (the CMS check edits a copy in memory).
+ */
+function createMockApi({ loadFixture = () => JSON.parse(fs.readFileSync(FIXTURE_FILE, 'utf-8')) } = {}) {
+  return http.createServer((req, res) => {
+    if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+      return sendJson(res, 401, { code: 'not_authorized', message: 'Missing bearer token' });
+    }
+
+    const fixture = loadFixture();
+    const url = new URL(req.url, 'http://localhost');
+    const parts = url.pathname.replace(/^\/v2/, '').split('/').filter(Boolean);
+
+    // GET /sites
+    if (parts.length === 1 && parts[0] === 'sites') {
+      return sendJson(res, 200, { sites: fixture.sites });
+    }
+
+    // GET /sites/:siteId/collections
+    if (parts.length === 3 && parts[0] === 'sites' && parts[2] === 'collections') {
+      const collections = (fixture.collections[parts[1]] || []).map(({ fields, ...summary }) => summary);
+      return sendJson(res, 200, { collections });
+    }
+
+    const collection = Object.values(fixture.collections).flat().find(c => c.id === parts[1]);
+    if (parts[0] === 'collections' && !collection) {
+      return sendJson(res, 404, { code: 'resource_not_found', message: 'Collection not found' });
+    }
+
+    // GET /collections/:collectionId
+    if (parts.length === 2 && parts[0] === 'collections') {
+      return sendJson(res, 200, collection);
+    }
+
+    // GET /collections/:collectionId/items?offset&limit
+    if (parts.length === 3 && parts[0] === 'collections' && parts[2] === 'items') {
+      const all = fixture.items[collection.id] || [];
+      const offset = parseInt(url.searchParams.get('offset'), 10) || 0;
+      const limit = Math.min(parseInt(url.searchParams.get('limit'), 10) || 100, MAX_ITEMS_PER_PAGE);
+      return sendJson(res, 200, {
+        items: all.slice(offset, offset + limit),
+        pagination: { limit, offset, total: all.length }
+      });
+    }
+
+    sendJson(res, 404, { code: 'route_not_found', message: `No route for ${url.pathname}` });
+  });
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.PORT, 10) || DEFAULT_PORT;
+  createMockApi().listen(port, () => {
+    console.log(`Mock Webflow API listening on http://localhost:${port}/v2`);
+  });
+}
+
+module.exports = { createMockApi, FIXTURE_FILE };
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/**
+ * Offline check of --render against the fixture site
+ *
+ * Syncs fixtures/site/ into a temporary directory twice:
+ *   - with Playwright hidden: the sync must report the browser as a critical
+ *     failure (so --strict fails), and still save the raw pages without
+ *     rendered copies
+ *   - with Playwright: the home page (fetch) and team page (XMLHttpRequest)
+ *     must be saved as rendered DOM, and the JSON they loaded written to
+ *     data/ and listed in metadata/render-manifest.json
+ * Without Playwright (or its Chromium) the second run fails, and so does the
+ * check: it never passes on the fallback half alone.
+ *
+ *   npm run render:check [-- --browser-path=/path/to/chromium]
+ */
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const Module = require('module');
+const os = require('os');
+const path = require('path');
+const { createMockSite } = require('./mock-site');
+const { runCheck, quietly } = require('./check');
+const { IncrementalScraper, getArg } = require('../incremental-scraper');
+
+const PLAYWRIGHT_MODULES = new Set(['playwright', 'playwright-core']);
+const API_DIR = path.join(__dirname, 'site', 'api');
+
+/**
+ * Run fn() as if Playwright were not installed
+ */
+async function withoutPlaywright(fn) {
+  const resolve = Module._resolveFilename;
+  Module._resolveFilename = function (request, ...rest) {
+    if (PLAYWRIGHT_MODULES.has(request)) {
+      const err = new Error(`Cannot find module '${request}'`);
+      err.code = 'MODULE_NOT_FOUND';
+      throw err;
+    }
+    return resolve.call(this, request, ...rest);
+  };
+  try {
+    return await fn();
+  } finally {
+    Module._resolveFilename = resolve;
+  }
+}
+
+function playwrightInstalled() {
+  for (const name of PLAYWRIGHT_MODULES) {
+    try {
+      require.resolve(name);
+      return true;
+    } catch {}
+  }
+  return false;
+}
+
+/**
+ * One quiet --render sync into a fresh directory: { result, warnings, outputDir }
+ * (warnings holds console.warn and console.error output)
+ */
+async function sync(siteUrl, options = {}) {
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'render-check-'));
+  const scraper = new IncrementalScraper(siteUrl, true, {
+    outputDir,
+    render: true,
+    browserPath: getArg('browser-path', process.env.SYNC_BROWSER_PATH),
+    ...options
+  });
+  const { result, messages } = await quietly(() => scraper.run());
+  return { result, warnings: messages, outputDir };
+}
+
+const read = (dir, file) => fs.readFile(path.join(dir, file), 'utf-8');
+const exists = (dir, file) => fs.access(path.join(dir, file)).then(() => true, () => false);
+
+runCheck('Render check', async () => {
+  const server = createMockSite();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const siteUrl = `http://127.0.0.1:${server.address().port}`;
+  const outputDirs = [];
+
+  const steps = [
+    {
+      name: 'without Playwright the sync fails --strict and keeps the raw HTML',
+      async run() {
+        const { result, warnings, outputDir } = await withoutPlaywright(() => sync(siteUrl, { strict: true }));
+        outputDirs.push(outputDir);
+        assert.strictEqual(result.success, false, 'a --strict sync without Playwright reported success');
+        assert.ok(warnings.some(w => w.includes('Rendering and screenshots skipped') && w.includes('Playwright is not installed')),
+          `expected a "Playwright is not installed" error, got ${JSON.stringify(warnings)}`);
+        const lastSync = JSON.parse(await read(outputDir, 'metadata/last-sync.json'));
+        assert.ok(lastSync.failures.some(f => f.type === 'browser' && f.critical), 'no critical browser failure in last-sync.json');
+        assert.ok(await exists(outputDir, 'html/index.html'), 'html/index.html was not saved');
+        assert.ok(await exists(outputDir, 'html/team.html'), 'html/team.html was not saved');
+        assert.ok(!(await exists(outputDir, 'html/index.rendered.html')), 'a rendered copy was written');
+        assert.ok(!(await exists(outputDir, 'data')), 'data/ was written');
+      }
+    },
+    {
+      name: 'rendered pages and XHR/fetch JSON are saved',
+      async run() {
+        assert.ok(playwrightInstalled(), 'Playwright is not installed - run npm install, then npx playwright install chromium (or pass --browser-path)');
+        const { result, warnings, outputDir } = await sync(siteUrl);
+        outputDirs.push(outputDir);
+        assert.strictEqual(result.success, true);
+        assert.ok(!warnings.some(w => w.includes('skipped')), `rendering was skipped: ${JSON.stringify(warnings)}`);
+
+        const home = await read(outputDir, 'html/index.rendered.html');
+        assert.ok(home.includes('First collection item'), 'fetch() results missing from the rendered home page');
+        assert.ok(home.includes('class="char"'), 'split heading missing from the rendered home page');
+        const team = await read(outputDir, 'html/team.rendered.html');
+        assert.ok(team.includes('Ada - Design'), 'XMLHttpRequest results missing from the rendered team page');
+
+        const manifest = JSON.parse(await read(outputDir, 'metadata/render-manifest.json'));
+        for (const [page, api] of [['/', 'items.json'], ['/team', 'team.json']]) {
+          const entry = Object.entries(manifest).find(([key]) => new URL(key).pathname === page)?.[1];
+          assert.ok(entry, `no render-manifest entry for ${page}`);
+          const capture = entry.data.find(d => d.url.endsWith(`/api/${api}`));
+          assert.ok(capture, `${api} not captured for ${page}`);
+          const expected = JSON.parse(await fs.readFile(path.join(API_DIR, api), 'utf-8'));
+          assert.deepStrictEqual(JSON.parse(await read(outputDir, capture.file)), expected);
+        }
+      }
+    }
+  ];
+
+  return {
+    steps,
+    async cleanup() {
+      server.close();
+      for (const dir of outputDirs) await fs.rm(dir, { recursive: true, force: true });
+    }
+  };
+});
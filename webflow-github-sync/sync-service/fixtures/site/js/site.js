@@ -0,0 +1,12 @@
+// Minimal stand-in for the pageFunctions registry Webflow sites use in inline scripts
+window.pageFunctions = {
+  functions: [],
+  addFunction: function (name, fn) {
+    this.functions.push({ name: name, fn: fn });
+  }
+};
+document.addEventListener("DOMContentLoaded", function () {
+  window.pageFunctions.functions.forEach(function (entry) {
+    entry.fn();
+  });
+});
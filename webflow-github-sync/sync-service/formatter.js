@@ -0,0 +1,488 @@
+/**
+ * Deterministic pretty-printer for saved HTML, CSS and JS
+ *
+ * Webflow publishes minified single-line files, so any edit shows up as a
+ * one-line diff of the whole file. Formatting before saving gives git one
+ * line per element / declaration / statement:
+ *
+ * - HTML: block-level elements on their own lines, indented, with line
+ *   breaks only next to them, where whitespace is not rendered; attributes
+ *   sorted by name and double-quoted; pre/textarea left untouched
+ * - CSS: one selector, declaration or at-rule per line
+ * - JS: line breaks after statements and braces only. The result must still
+ *   parse, otherwise the original is kept - formatting never breaks a script.
+ *
+ * The built-in engine has no dependencies. engine 'prettier' uses an
+ * installed prettier package instead and falls back to the built-in one.
+ */
+
+const vm = require('vm');
+const { attributeList, VOID_ELEMENTS } = require('./html');
+
+const INDENT = '  ';
+// Elements displayed as blocks (or table parts, or inside <select>) by default
+const BLOCK_ELEMENTS = new Set([
+  'html', 'head', 'body',
+  'div', 'section', 'header', 'footer', 'nav', 'main', 'article', 'aside', 'address', 'figure', 'figcaption',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'blockquote', 'hr', 'pre', 'ul', 'ol', 'li', 'dl', 'dt', 'dd',
+  'table', 'caption', 'colgroup', 'col', 'thead', 'tbody', 'tfoot', 'tr', 'td', 'th',
+  'form', 'fieldset', 'legend', 'option', 'optgroup'
+]);
+// Not rendered, so no block box: line breaks around them only in <head>
+const HEAD_ELEMENTS = new Set(['title', 'meta', 'link', 'base', 'script', 'style', 'noscript', 'template']);
+// HTML whitespace only - \s would also match &nbsp; characters, which render
+const HTML_TEXT_PARTS = /^([ \t\n\f\r]*)([\s\S]*?)([ \t\n\f\r]*)$/;
+const HTML_WHITESPACE_BEFORE_CLOSE = /[ \t\n\f\r]+>$/;
+// Block-level tags styled to flow inline (Webflow's w-inline-block)
+const INLINE_CLASS = /inline/i;
+const INLINE_STYLE = /display\s*:\s*inline/i;
+// Content kept byte-for-byte (script/style content is formatted as JS/CSS)
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'pre', 'textarea']);
+const JS_SCRIPT_TYPES = new Set(['', 'text/javascript', 'application/javascript', 'module']);
+// A "/" after these keywords starts a regex literal, not a division
+const REGEX_KEYWORDS = new Set(['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await']);
+
+class Formatter {
+  constructor(options = {}) {
+    this.engine = options.engine || 'builtin';
+    this.prettier = null;
+    if (this.engine === 'prettier') {
+      try {
+        this.prettier = require('prettier');
+      } catch {
+        console.warn('⚠ prettier is not installed (npm install prettier) - using the built-in formatter');
+        this.engine = 'builtin';
+      }
+    }
+  }
+
+  /**
+   * Format content of type 'html', 'css' or 'js'. Never throws - on any
+   * problem the content is returned unchanged.
+   */
+  async format(content, type) {
+    if (this.prettier) {
+      try {
+        const parser = { html: 'html', css: 'css', js: 'babel' }[type];
+        return await this.prettier.format(content, { parser });
+      } catch (err) {
+        console.warn(`⚠ prettier could not format ${type}: ${err.message.split('\n')[0]}`);
+      }
+    }
+    try {
+      if (type === 'html') return this.formatHtml(content);
+      if (type === 'css') return this.formatCss(content);
+      if (type === 'js') return this.formatJs(content);
+    } catch (err) {
+      console.warn(`⚠ Could not format ${type}: ${err.message}`);
+    }
+    return content;
+  }
+
+  /**
+   * Split HTML into comment / doctype / start / end / text tokens. Raw text
+   * element content becomes a single 'raw' token.
+   */
+  tokenizeHtml(html) {
+    const tokens = [];
+    const lower = html.toLowerCase();
+    const tagRegex = /<!--[\s\S]*?-->|<![^>]*>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/g;
+    let last = 0;
+    let match;
+
+    while ((match = tagRegex.exec(html)) !== null) {
+      if (match.index > last) tokens.push({ type: 'text', value: html.slice(last, match.index) });
+      last = tagRegex.lastIndex;
+
+      if (match[1]) {
+        tokens.push({ type: 'end', name: match[1].toLowerCase(), value: match[0] });
+      } else if (match[2]) {
+        const name = match[2].toLowerCase();
+        const token = { type: 'start', name, tagName: match[2], attrs: attributeList(match[3]), selfClosing: match[4] === '/' };
+        tokens.push(token);
+        if (RAW_TEXT_ELEMENTS.has(name) && !token.selfClosing) {
+          const close = lower.indexOf(`</${name}`, last);
+          const end = close === -1 ? html.length : close;
+          tokens.push({ type: 'raw', parent: token, value: html.slice(last, end) });
+          last = end;
+          tagRegex.lastIndex = end;
+        }
+      } else {
+        tokens.push({ type: 'comment', value: match[0] });
+      }
+    }
+    if (last < html.length) tokens.push({ type: 'text', value: html.slice(last) });
+    return tokens;
+  }
+
+  /**
+   * Start tag with attributes sorted by name (stable) and double-quoted
+   */
+  renderStartTag(token) {
+    const attrs = [...token.attrs]
+      .sort((a, b) => (a.name.toLowerCase() < b.name.toLowerCase() ? -1 : a.name.toLowerCase() > b.name.toLowerCase() ? 1 : 0))
+      .map(a => (a.value === null ? a.name : `${a.name}="${a.value.replace(/"/g, '&quot;')}"`));
+    return `<${token.tagName}${attrs.length ? ' ' + attrs.join(' ') : ''}${token.selfClosing ? ' /' : ''}>`;
+  }
+
+  /**
+   * End tag without whitespace before ">" (older formatter versions broke
+   * lines there)
+   */
+  renderEndTag(token) {
+    return token.value.replace(HTML_WHITESPACE_BEFORE_CLOSE, '>');
+  }
+
+  /**
+   * Whether line breaks may go around a start tag: block-level elements not
+   * styled to flow inline (a class containing "inline", like Webflow's
+   * w-inline-block, or an inline display in style), and <head> content
+   */
+  breaksLine(token, inHead) {
+    if (inHead && HEAD_ELEMENTS.has(token.name)) return true;
+    if (!BLOCK_ELEMENTS.has(token.name)) return false;
+    return !token.attrs.some(({ name, value }) =>
+      (name.toLowerCase() === 'class' && INLINE_CLASS.test(value || '')) ||
+      (name.toLowerCase() === 'style' && INLINE_STYLE.test(value || '')));
+  }
+
+  /**
+   * True when the element starting at tokens[i] contains no children that
+   * break lines, so it can stay on one line
+   */
+  isInlineOnly(tokens, i, inHead) {
+    const name = tokens[i].name;
+    for (let j = i + 1; j < tokens.length; j++) {
+      const token = tokens[j];
+      if (token.type === 'end' && token.name === name) return true;
+      if (token.type === 'comment') return false;
+      if (token.type === 'start' && this.breaksLine(token, inHead)) return false;
+    }
+    return false;
+  }
+
+  /**
+   * One block element per line. Whitespace next to a block-level box is not
+   * rendered (white-space: normal), so line breaks go only before and after
+   * block-level tags (see breaksLine); between inline content - text, <a>,
+   * <span>, <img>, <svg>, scripts in <body> - the source's whitespace, or the
+   * lack of it, is kept as it is. Elements holding only text and inline
+   * markup stay on one line.
+   */
+  formatHtml(html) {
+    const tokens = this.tokenizeHtml(html);
+    const bodyStart = tokens.findIndex(t => t.type === 'start' && t.name === 'body');
+    const open = []; // block flag of each open element, matched by end tags
+    let out = '';
+    let depth = 0;
+    let gap = ''; // whitespace since the last thing written
+    let previous = null;
+
+    const write = (value, block) => {
+      if (previous !== null) {
+        const newline = '\n' + INDENT.repeat(depth);
+        if (previous || block) out += newline;
+        else if (gap) out += gap.includes('\n') ? newline : gap;
+      }
+      out += value;
+      previous = block;
+      gap = '';
+    };
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+
+      if (token.type === 'text') {
+        const [, leading, text, trailing] = token.value.match(HTML_TEXT_PARTS);
+        gap += leading;
+        if (text) {
+          write(text, false);
+          gap = trailing;
+        }
+        continue;
+      }
+
+      if (token.type === 'comment') {
+        write(token.value, false);
+        continue;
+      }
+
+      if (token.type === 'end') {
+        const index = open.map(e => e.name).lastIndexOf(token.name);
+        const block = index === -1 ? BLOCK_ELEMENTS.has(token.name) : open[index].block;
+        if (index !== -1) open.splice(index);
+        if (block) depth = Math.max(0, depth - 1);
+        write(this.renderEndTag(token), block);
+        continue;
+      }
+
+      const inHead = i < bodyStart;
+      const block = this.breaksLine(token, inHead);
+      const isVoid = VOID_ELEMENTS.has(token.name) || token.selfClosing;
+
+      if (tokens[i + 1]?.type === 'raw') {
+        const closing = tokens[i + 2]?.type === 'end' && tokens[i + 2].name === token.name ? this.renderEndTag(tokens[i + 2]) : '';
+        const raw = tokens[i + 1].value;
+        const content = this.formatRawContent(token, raw);
+        const start = this.renderStartTag(token);
+        let value = start + raw + closing; // pre, textarea, templates, JSON: as they are
+        if (!content.trim()) value = start + closing;
+        else if (content !== raw) value = `${start}\n${content.replace(/^\n+|\s+$/g, '')}\n${INDENT.repeat(depth)}${closing}`;
+        write(value, block);
+        i += closing ? 2 : 1;
+        continue;
+      }
+
+      if (block && !isVoid && this.isInlineOnly(tokens, i, inHead)) {
+        let value = this.renderStartTag(token);
+        let j = i + 1;
+        for (; tokens[j].type !== 'end' || tokens[j].name !== token.name; j++) {
+          value += tokens[j].type === 'start' ? this.renderStartTag(tokens[j]) : tokens[j].type === 'end' ? this.renderEndTag(tokens[j]) : tokens[j].value;
+        }
+        write(value + this.renderEndTag(tokens[j]), block);
+        i = j;
+        continue;
+      }
+
+      write(this.renderStartTag(token), block);
+      if (!isVoid) {
+        open.push({ name: token.name, block });
+        if (block) depth++;
+      }
+    }
+    // Keep a final newline only where the source had trailing whitespace
+    return gap ? out + '\n' : out;
+  }
+
+  /**
+   * <style> content as CSS, JavaScript <script> content as JS, anything
+   * else (JSON-LD, templates, pre, textarea) unchanged
+   */
+  formatRawContent(parent, content) {
+    const type = (parent.attrs.find(a => a.name.toLowerCase() === 'type')?.value || '').trim().toLowerCase();
+    if (parent.name === 'style') return this.formatCss(content);
+    if (parent.name === 'script' && JS_SCRIPT_TYPES.has(type)) return this.formatJs(content);
+    return content;
+  }
+
+  /**
+   * One rule, declaration or at-rule per line. Strings, comments and
+   * parenthesized values (data: URIs contain ';') are copied verbatim.
+   */
+  formatCss(css) {
+    const lines = [];
+    let depth = 0;
+    let parens = 0;
+    let current = '';
+
+    const push = (text) => {
+      const trimmed = text.replace(/\s+/g, ' ').trim();
+      if (trimmed) lines.push(INDENT.repeat(depth) + trimmed);
+    };
+
+    for (let i = 0; i < css.length; i++) {
+      const ch = css[i];
+
+      if (ch === '/' && css[i + 1] === '*') {
+        const end = css.indexOf('*/', i + 2);
+        const stop = end === -1 ? css.length : end + 2;
+        push(current);
+        current = '';
+        lines.push(INDENT.repeat(depth) + css.slice(i, stop));
+        i = stop - 1;
+      } else if (ch === '"' || ch === "'") {
+        const stop = this.skipString(css, i);
+        current += css.slice(i, stop);
+        i = stop - 1;
+      } else if (ch === '(') {
+        parens++;
+        current += ch;
+      } else if (ch === ')') {
+        parens = Math.max(0, parens - 1);
+        current += ch;
+      } else if (parens > 0) {
+        current += ch;
+      } else if (ch === '{') {
+        push(current + ' {');
+        current = '';
+        depth++;
+      } else if (ch === '}') {
+        push(current);
+        current = '';
+        depth = Math.max(0, depth - 1);
+        lines.push(INDENT.repeat(depth) + '}');
+      } else if (ch === ';') {
+        push(current + ';');
+        current = '';
+      } else {
+        current += ch;
+      }
+    }
+    push(current);
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Index just past the string literal starting at i
+   */
+  skipString(text, i) {
+    const quote = text[i];
+    for (let j = i + 1; j < text.length; j++) {
+      if (text[j] === '\\') j++;
+      else if (text[j] === quote || (text[j] === '\n' && quote !== '`')) return j + 1;
+    }
+    return text.length;
+  }
+
+  /**
+   * Index just past the template literal starting at i, including nested
+   * ${...} expressions with their own strings and templates
+   */
+  skipTemplate(code, i) {
+    for (let j = i + 1; j < code.length; j++) {
+      if (code[j] === '\\') {
+        j++;
+      } else if (code[j] === '`') {
+        return j + 1;
+      } else if (code[j] === '$' && code[j + 1] === '{') {
+        let braces = 1;
+        for (j += 2; j < code.length && braces > 0; j++) {
+          if (code[j] === '{') braces++;
+          else if (code[j] === '}') braces--;
+          else if (code[j] === '"' || code[j] === "'") j = this.skipString(code, j) - 1;
+          else if (code[j] === '`') j = this.skipTemplate(code, j) - 1;
+        }
+        j--;
+      }
+    }
+    return code.length;
+  }
+
+  /**
+   * Index just past the regex literal starting at i
+   */
+  skipRegex(code, i) {
+    let inClass = false;
+    for (let j = i + 1; j < code.length; j++) {
+      const ch = code[j];
+      if (ch === '\\') j++;
+      else if (ch === '\n') return j;
+      else if (ch === '[') inClass = true;
+      else if (ch === ']') inClass = false;
+      else if (ch === '/' && !inClass) {
+        let end = j + 1;
+        while (end < code.length && /[a-z]/i.test(code[end])) end++;
+        return end;
+      }
+    }
+    return code.length;
+  }
+
+  /**
+   * Break lines after statements and braces, indenting by brace depth.
+   * Literals and comments are copied verbatim. Only newlines are inserted,
+   * so the result is kept only if it still parses.
+   */
+  formatJs(code) {
+    if (!this.parses(code)) return code;
+
+    const lines = [];
+    const parenStack = [];
+    let depth = 0;
+    let parens = 0;
+    let line = '';
+    let regexAllowed = true;
+
+    const flush = () => {
+      const text = line.trim();
+      if (text) lines.push(INDENT.repeat(depth) + text);
+      line = '';
+    };
+
+    for (let i = 0; i < code.length; i++) {
+      const ch = code[i];
+
+      if (ch === '/' && code[i + 1] === '/') {
+        const end = code.indexOf('\n', i);
+        line += code.slice(i, end === -1 ? code.length : end);
+        flush();
+        i = end === -1 ? code.length : end;
+      } else if (ch === '/' && code[i + 1] === '*') {
+        const end = code.indexOf('*/', i + 2);
+        const stop = end === -1 ? code.length : end + 2;
+        line += code.slice(i, stop);
+        i = stop - 1;
+      } else if (ch === '"' || ch === "'" || ch === '`') {
+        const stop = ch === '`' ? this.skipTemplate(code, i) : this.skipString(code, i);
+        line += code.slice(i, stop);
+        i = stop - 1;
+        regexAllowed = false;
+      } else if (ch === '/' && regexAllowed) {
+        const stop = this.skipRegex(code, i);
+        line += code.slice(i, stop);
+        i = stop - 1;
+        regexAllowed = false;
+      } else if (ch === '\n' || ch === '\r') {
+        flush();
+      } else if (ch === '{') {
+        if (code[i + 1] === '}') {
+          line += '{}';
+          i++;
+          regexAllowed = true;
+          continue;
+        }
+        line += '{';
+        flush();
+        parenStack.push(parens);
+        parens = 0;
+        depth++;
+        regexAllowed = true;
+      } else if (ch === '}') {
+        flush();
+        depth = Math.max(0, depth - 1);
+        parens = parenStack.pop() || 0;
+        line = '}';
+        // Keep "} else", "});", "}," etc. together
+        const rest = code.slice(i + 1, i + 10);
+        if (!/^\s*(?:[,;)\].(?:]|else\b|catch\b|finally\b|while\b)/.test(rest)) flush();
+        regexAllowed = true;
+      } else if (ch === ';') {
+        line += ';';
+        if (parens === 0) flush();
+        regexAllowed = true;
+      } else {
+        if (ch === '(' || ch === '[') parens++;
+        if (ch === ')' || ch === ']') parens = Math.max(0, parens - 1);
+        line += ch;
+
+        if (/\s/.test(ch)) continue;
+        if (/[\w$]/.test(ch)) {
+          // Identifier or keyword: look back for the whole word
+          const word = line.match(/[\w$]+$/)[0];
+          regexAllowed = REGEX_KEYWORDS.has(word);
+        } else {
+          regexAllowed = ch !== ')' && ch !== ']';
+        }
+      }
+    }
+    flush();
+
+    const formatted = lines.join('\n') + '\n';
+    return this.parses(formatted) ? formatted : code;
+  }
+
+  /**
+   * Syntax check without running anything (classic scripts only - modules
+   * and other unparseable input are left unformatted)
+   */
+  parses(code) {
+    try {
+      new vm.Script(code);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+module.exports = { Formatter };
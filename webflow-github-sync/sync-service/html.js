@@ -0,0 +1,64 @@
+/**
+ * HTML scanning helpers shared by the scraper, change report, SEO index and
+ * link checker
+ *
+ * Regex-based like the rest of the sync service: startTags() finds start
+ * tags, parseAttributes() reads their attributes with entities decoded
+ * (attributeList() as written, for the formatter).
+ * Good enough for the markup Webflow publishes; not a full HTML parser.
+ */
+
+const START_TAG = /<([a-zA-Z][\w-]*)(\s[^>]*)?>/g;
+const ATTRIBUTE = /([^\s=<>"'\/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+const ENTITY = /&(?:#(\d+)|#x([0-9a-f]+)|(amp|lt|gt|quot|apos|nbsp));/gi;
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+/**
+ * Start tags in document order as { name, attrs, index, length }, optionally
+ * only those named `name` (lower case)
+ */
+function* startTags(html, name = null) {
+  for (const match of html.matchAll(START_TAG)) {
+    const tag = match[1].toLowerCase();
+    if (name && tag !== name) continue;
+    yield { name: tag, attrs: parseAttributes(match[2]), index: match.index, length: match[0].length };
+  }
+}
+
+/**
+ * Attributes of a start tag (or just its attribute string) as { name: value }.
+ * Names are lower-cased, bare attributes are '', and the first of a repeated
+ * attribute wins, as in browsers.
+ */
+function parseAttributes(tag = '') {
+  const attrs = {};
+  for (const { name, value } of attributeList(tag)) {
+    const key = name.toLowerCase();
+    if (!(key in attrs)) attrs[key] = decodeEntities(value ?? '');
+  }
+  return attrs;
+}
+
+/**
+ * Attributes of a start tag as written, in source order: [{ name, value }]
+ * with the name's case and the value's entities kept (value null when bare)
+ */
+function attributeList(tag = '') {
+  return [...tag.replace(/^<[\w-]+/, '').matchAll(ATTRIBUTE)]
+    .map(m => ({ name: m[1], value: m[2] ?? m[3] ?? m[4] ?? null }));
+}
+
+/**
+ * Decode numeric and the common named character references in one pass
+ * (so &amp;lt; stays &lt;)
+ */
+function decodeEntities(text) {
+  return text.replace(ENTITY, (match, dec, hex, named) => {
+    if (named) return NAMED_ENTITIES[named.toLowerCase()];
+    const code = dec ? Number(dec) : parseInt(hex, 16);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+  });
+}
+
+module.exports = { startTags, parseAttributes, attributeList, decodeEntities, VOID_ELEMENTS };
@@ -2,10 +2,10 @@
 /**
  * Intelligent Incremental Scraper for Webflow Sites
  * 
- * Uses SHA-256 hashing and Last-Modified headers to avoid re-downloading
- * unchanged pages. Extracts HTML, CSS, and JavaScript to webflow-repo/.
+ * Uses conditional GETs and SHA-256 hashes of normalized content to avoid
+ * re-writing unchanged pages. Extracts HTML, CSS, and JavaScript to webflow-repo/.
  * 
- * Node.js built-ins only: https, fs, path, crypto, url
+ * Node.js built-ins only: https, fs, path, crypto, url, zlib
  */
 
 const https = require('https');
@@ -13,34 +13,134 @@ const http = require('http');
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const zlib = require('zlib');
 const { URL } = require('url');
+const { RequestPool, parseHostLimits } = require('./request-pool');
+const { Formatter } = require('./formatter');
+const { ChangeReport } = require('./change-report');
+const { SeoIndex } = require('./seo');
+const { LinkChecker } = require('./link-checker');
+const { SyncRules } = require('./sync-rules');
+const { Renderer } = require('./renderer');
+const { ScreenshotDiff, VIEWPORTS, DEFAULT_THRESHOLD_PERCENT } = require('./screenshots');
+const { UrlMap, urlToFilename, mapReferences } = require('./url-map');
+const { startTags, VOID_ELEMENTS } = require('./html');
 
 // Configuration
-const CONCURRENT_ASSET_LIMIT = 5;
-const CACHE_MAX_AGE_MS = 24 * 60 * 60 * 1000; // 24 hours
+const MAX_REDIRECTS = 10;
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_BASE_MS = 500;
+const SITEMAP_LASTMOD_MAX_AGE_MS = 24 * 60 * 60 * 1000; // unchanged <lastmod> is trusted for a day
+const DEFAULT_MAX_DEPTH = 5;
+const DEFAULT_MAX_PAGES = 500;
 const MIN_INLINE_SCRIPT_LENGTH = 100;
+const MAX_BINARY_ASSET_BYTES = 50 * 1024 * 1024; // GitHub rejects files over 100MB
+const MEDIA_EXTENSIONS = {
+  'image/png': '.png', 'image/jpeg': '.jpg', 'image/gif': '.gif', 'image/webp': '.webp',
+  'image/avif': '.avif', 'image/svg+xml': '.svg', 'image/x-icon': '.ico', 'image/vnd.microsoft.icon': '.ico',
+  'font/woff': '.woff', 'font/woff2': '.woff2', 'font/ttf': '.ttf', 'font/otf': '.otf',
+  'application/font-woff': '.woff', 'video/mp4': '.mp4', 'video/webm': '.webm',
+  'application/json': '.json', 'application/pdf': '.pdf'
+};
+const USER_AGENT = 'Webflow-GitHub-Sync/1.0';
+const ACCEPT_ENCODING = 'gzip, deflate, br';
+const CHARSET_SNIFF_BYTES = 1024; // <meta charset> must appear in the first 1024 bytes
+// windows-1252 0x80-0x9F; some Node builds decode these as latin1 C1 controls
+const WINDOWS_1252_C1 = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008dŽ\u008f\u0090‘’“”•–—˜™š›œ\u009džŸ';
+const MAX_SITEMAP_DEPTH = 3; // sitemap index -> sitemap -> ... nesting limit
 const CDN_DOMAINS = ['cdnjs.cloudflare.com', 'unpkg.com', 'cdn.jsdelivr.net', 'ajax.googleapis.com', 'code.jquery.com'];
+const ABSOLUTE_URL = /^(?:https?:)?\/\//i; // left in files saved by earlier syncs for URLs not mirrored then
 const SYNC_HISTORY_MAX = 100;
 // Script lives in sync-service/ so dirname is project root (webflow-github-sync)
 const PROJECT_ROOT = path.dirname(path.resolve(__dirname));
+// Single-site output; sites in webflow-sync.config.json get their own outputDir
 const OUTPUT_DIR = path.join(PROJECT_ROOT, 'webflow-repo');
 const METADATA_DIR = path.join(OUTPUT_DIR, 'metadata');
-const CACHE_FILE = path.join(METADATA_DIR, 'scrape-cache.json');
-const LAST_SYNC_FILE = path.join(METADATA_DIR, 'last-sync.json');
-const SYNC_HISTORY_FILE = path.join(METADATA_DIR, 'sync-history.json');
+// Metadata files, relative to the site's metadata dir
+const CACHE_FILE = 'scrape-cache.json';
+const LAST_SYNC_FILE = 'last-sync.json';
+const SYNC_HISTORY_FILE = 'sync-history.json';
+const LINK_GRAPH_FILE = 'link-graph.json';
+const INLINE_MANIFEST_FILE = 'inline-manifest.json';
+const SEO_FILE = 'seo.json';
+const LINK_REPORT_FILE = 'link-report.json';
+const RENDER_MANIFEST_FILE = 'render-manifest.json';
+const URL_MAP_FILE = 'url-map.json';
+const IGNORE_RULES_FILE = path.join(PROJECT_ROOT, 'ignore-rules.json');
+const SITE_CONFIG_FILE = path.join(PROJECT_ROOT, 'webflow-sync.config.json');
+// Per-publish noise stripped before hashing, so a re-publish without edits
+// is not a change. Extend or replace via ignore-rules.json.
+const DEFAULT_IGNORE_RULES = [
+  { pattern: '<!--\\s*Last Published:[\\s\\S]*?-->' },
+  { attribute: 'data-wf-page' },
+  { pattern: '([?&])(?:v|ver|t|ts|_|cb|cachebust)=[\\w.-]*', replace: '$1' },
+  { selector: 'meta[name=csrf-token]' },
+  { selector: 'input[name=_csrf]' }
+];
 
 class IncrementalScraper {
-  constructor(siteUrl, fullScrape = false) {
+  constructor(siteUrl, fullScrape = false, options = {}) {
     this.siteUrl = this.normalizeUrl(siteUrl);
+    this.siteName = options.siteName || null;
     this.baseUrl = new URL(this.siteUrl);
+    this.outputDir = options.outputDir || OUTPUT_DIR;
+    this.metadataDir = path.join(this.outputDir, 'metadata');
     this.fullScrape = fullScrape;
+    this.maxDepth = options.maxDepth ?? DEFAULT_MAX_DEPTH;
+    this.maxPages = options.maxPages ?? DEFAULT_MAX_PAGES;
+    this.discovery = options.discovery || 'crawl';
+    this.robots = null;
+    this.sitemapLastmod = new Map();
+    this.vendorCdn = options.vendorCdn || false;
+    this.savedFiles = [];
     this.cache = { assets: {} };
-    this.timings = {};
+    this.timings = { bytesTransferred: 0, bytesDecoded: 0 };
+    this.previousGraph = { pages: {} };
     this.pagesScraped = 0;
     this.pagesSkipped = 0;
+    this.pagesNotModified = 0;
     this.filesUpdated = 0;
     this.inlineStyleCount = 0;
     this.inlineScriptCount = 0;
+    this.inlineManifest = {};
+    // Output file names (--layout), kept in metadata/url-map.json
+    this.layout = options.layout || 'paths';
+    this.urlMap = new UrlMap(this.layout);
+    this.reconcileAll = options.reconcile || false;
+    this.targets = options.targets || [];
+    // Include/exclude patterns for pages and assets, per-path maxAge policies
+    this.rules = new SyncRules(options);
+    this.excludedPages = new Set();
+    this.protectedPages = new Set();
+    this.disallowedPages = new Set(); // by robots.txt
+    this.pool = new RequestPool({
+      concurrency: options.concurrency,
+      perHost: options.perHost,
+      hostLimits: options.hostLimits,
+      requestsPerSecond: options.requestsPerSecond
+    });
+    // Opt-in pretty-printing so git diffs show the actual edit
+    this.formatter = options.pretty && options.pretty !== 'false'
+      ? new Formatter({ engine: options.pretty === 'prettier' ? 'prettier' : 'builtin' })
+      : null;
+    this.ignoreRules = this.compileIgnoreRules(options.ignoreRules || DEFAULT_IGNORE_RULES);
+    this.retries = options.retries ?? DEFAULT_RETRIES;
+    this.retryBaseMs = options.retryBaseMs ?? DEFAULT_RETRY_BASE_MS;
+    this.strict = options.strict || false;
+    this.checkExternal = options.checkExternal || false;
+    this.checkLinks = options.checkLinks || this.checkExternal;
+    // Headless browser for --render and --screenshots
+    this.render = options.render || false;
+    this.screenshots = options.screenshots || false;
+    this.screenshotThreshold = options.screenshotThreshold ?? DEFAULT_THRESHOLD_PERCENT;
+    this.renderer = this.render || this.screenshots
+      ? new Renderer({ executablePath: options.browserPath, waitMs: options.renderWait })
+      : null;
+    this.renderManifest = {};
+    this.failures = [];
+    this.gonePages = new Set();
+    this.goneAssets = new Set();
+    this.removed = { pages: [], assets: [] };
   }
 
   /**
@@ -62,20 +162,163 @@ class IncrementalScraper {
   }
 
   /**
-   * Chunk array for parallel processing with concurrency limit
+   * Compile ignore rules: { pattern, flags?, replace? } regexes,
+   * { attribute } to drop an attribute from every tag, and { selector }
+   * (tag[attr=value]...) to drop matching elements. Invalid rules are skipped.
+   */
+  compileIgnoreRules(rules) {
+    const compiled = [];
+    for (const rule of rules) {
+      try {
+        if (rule.pattern) {
+          const flags = rule.flags ?? 'gi';
+          compiled.push({ regex: new RegExp(rule.pattern, flags.includes('g') ? flags : flags + 'g'), replace: rule.replace || '' });
+        } else if (rule.attribute) {
+          const name = rule.attribute.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+          compiled.push({ attribute: new RegExp(`\\s${name}(?:\\s*=\\s*(?:"[^"]*"|'[^']*'|[^\\s>]+))?(?=[\\s/>])`, 'gi') });
+        } else if (rule.selector) {
+          compiled.push({ selector: this.parseSelector(rule.selector) });
+        } else {
+          throw new Error('expected pattern, attribute or selector');
+        }
+      } catch (err) {
+        console.warn(`⚠ Ignoring invalid ignore rule ${JSON.stringify(rule)}: ${err.message}`);
+      }
+    }
+    return compiled;
+  }
+
+  /**
+   * Parse "tag[attr][attr=value]" (tag optional) into { tag, attrs }
+   */
+  parseSelector(selector) {
+    const match = selector.trim().match(/^([a-zA-Z][\w-]*)?((?:\[[^\]]+\])*)$/);
+    if (!match || (!match[1] && !match[2])) throw new Error(`unsupported selector "${selector}"`);
+    const attrs = [...match[2].matchAll(/\[\s*([^\s=\]]+)\s*(?:=\s*["']?([^"'\]]*)["']?\s*)?\]/g)]
+      .map(m => ({ name: m[1].toLowerCase(), value: m[2] }));
+    return { tag: match[1] ? match[1].toLowerCase() : null, attrs };
+  }
+
+  /**
+   * Remove elements matching a parsed selector (void elements are just the
+   * tag; others run to the next matching close tag)
+   */
+  removeMatchingElements(html, selector) {
+    const lower = html.toLowerCase();
+    const parts = [];
+    let last = 0;
+    for (const { name, attrs, index, length } of startTags(html, selector.tag)) {
+      if (index < last) continue; // inside an element already removed
+      const matches = selector.attrs.every(a => a.name in attrs && (a.value === undefined || attrs[a.name] === a.value));
+      if (!matches) continue;
+
+      let end = index + length;
+      if (!VOID_ELEMENTS.has(name)) {
+        const close = lower.indexOf(`</${name}>`, end);
+        if (close !== -1) end = close + name.length + 3;
+      }
+      parts.push(html.slice(last, index));
+      last = end;
+    }
+    parts.push(html.slice(last));
+    return parts.join('');
+  }
+
+  /**
+   * Strip ignored noise before hashing. Only regex rules apply to CSS/JS;
+   * attribute and selector rules are HTML-only.
+   */
+  normalizeContent(content, isHtml = true) {
+    let normalized = content;
+    for (const rule of this.ignoreRules) {
+      if (rule.regex) {
+        normalized = normalized.replace(rule.regex, rule.replace);
+      } else if (!isHtml) {
+        continue;
+      } else if (rule.attribute) {
+        normalized = normalized.replace(/<[a-zA-Z][^>]*>/g, tag => tag.replace(rule.attribute, ''));
+      } else if (rule.selector) {
+        normalized = this.removeMatchingElements(normalized, rule.selector);
+      }
+    }
+    return normalized;
+  }
+
+  /**
+   * Fetch URL with redirect following, returns { body, headers, finalUrl }.
+   * Each hop is scheduled through the shared request pool.
+   */
+  async fetchUrl(url, options = {}, redirects = 0) {
+    const result = await this.requestWithRetry(url, options);
+    if (result.redirect) {
+      if (redirects >= MAX_REDIRECTS) throw new Error(`Too many redirects for ${url}`);
+      return this.fetchUrl(result.redirect, options, redirects + 1);
+    }
+    return result;
+  }
+
+  /**
+   * Run one request through the pool, retrying network errors, 429 and 5xx
+   * responses with exponential backoff and jitter. This is the only retry
+   * loop: for 429/503 the pool has already paused the host (Retry-After), so
+   * the retry just queues behind that pause. The attempt count is attached
+   * to the result (or the final error) for failure reporting.
    */
-  chunkArray(arr, size) {
-    const chunks = [];
-    for (let i = 0; i < arr.length; i += size) {
-      chunks.push(arr.slice(i, i + size));
+  async requestWithRetry(url, options) {
+    for (let attempt = 1; ; attempt++) {
+      let result;
+      try {
+        result = await this.pool.schedule(url, () => this.request(url, options));
+      } catch (err) {
+        if (attempt > this.retries) {
+          err.attempts = attempt;
+          throw err;
+        }
+        await this.retryDelay(attempt);
+        continue;
+      }
+
+      const throttled = this.pool.isThrottled(result);
+      if ((throttled || result.statusCode >= 500) && attempt <= this.retries) {
+        if (!throttled) await this.retryDelay(attempt);
+        continue;
+      }
+      result.attempts = attempt;
+      return result;
     }
-    return chunks;
   }
 
   /**
-   * Fetch URL with redirect following, returns { body, headers, finalUrl }
+   * Exponential backoff (base * 2^(attempt-1)) with +/-50% jitter so retries
+   * against a struggling host do not arrive in lockstep
+   */
+  retryDelay(attempt) {
+    const backoff = this.retryBaseMs * 2 ** (attempt - 1);
+    const delay = backoff * (0.5 + Math.random());
+    return new Promise(resolve => setTimeout(resolve, delay));
+  }
+
+  /**
+   * Record a permanent failure for last-sync.json. Pages, stylesheets and
+   * scripts are critical (the mirror is broken without them), and so is a
+   * browser that will not start for --render/--screenshots; media and
+   * single render or screenshot errors are not.
+   */
+  recordFailure(url, type, { status = null, attempts = 1, error = null } = {}) {
+    this.failures.push({
+      url,
+      type,
+      status,
+      attempts,
+      error,
+      critical: !['media', 'render', 'screenshot'].includes(type)
+    });
+  }
+
+  /**
+   * Single HTTP request (no redirect following) - resolves { redirect } for 3xx
    */
-  async fetchUrl(url, options = {}) {
+  request(url, options = {}) {
     return new Promise((resolve, reject) => {
       const parsed = new URL(url);
       const protocol = parsed.protocol === 'https:' ? https : http;
@@ -86,29 +329,39 @@ class IncrementalScraper {
         path: parsed.pathname + parsed.search,
         method: options.method || 'GET',
         headers: {
-          'User-Agent': 'Webflow-GitHub-Sync/1.0',
+          'User-Agent': USER_AGENT,
           'Accept': options.accept || 'text/html,application/xhtml+xml,*/*;q=0.9',
+          'Accept-Encoding': ACCEPT_ENCODING,
           ...options.headers
         },
         timeout: 30000
       };
 
       const req = protocol.request(reqOptions, (res) => {
-        // Follow redirects
+        // Redirect - let fetchUrl schedule the next hop
         if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-          const redirectUrl = new URL(res.headers.location, url).href;
-          this.fetchUrl(redirectUrl, options).then(resolve).catch(reject);
+          res.resume();
+          resolve({ redirect: new URL(res.headers.location, url).href, statusCode: res.statusCode, headers: res.headers });
           return;
         }
 
         const chunks = [];
         res.on('data', chunk => chunks.push(chunk));
         res.on('end', () => {
-          const body = Buffer.concat(chunks);
+          const raw = Buffer.concat(chunks);
           const headers = {};
           Object.keys(res.headers).forEach(k => {
             headers[k.toLowerCase()] = res.headers[k];
           });
+          let body;
+          try {
+            body = this.decompress(raw, headers['content-encoding']);
+          } catch (err) {
+            reject(new Error(`Could not decode ${headers['content-encoding']} body: ${err.message}`));
+            return;
+          }
+          this.timings.bytesTransferred += raw.length;
+          this.timings.bytesDecoded += body.length;
           resolve({
             body,
             headers,
@@ -128,23 +381,87 @@ class IncrementalScraper {
   }
 
   /**
-   * Make HEAD request to get Last-Modified header (quick change check)
+   * Undo Content-Encoding (gzip, deflate, br; stacked encodings are applied
+   * in order, so they are undone in reverse)
+   */
+  decompress(body, contentEncoding) {
+    if (!contentEncoding || body.length === 0) return body;
+    const encodings = contentEncoding.split(',').map(e => e.trim().toLowerCase()).reverse();
+    for (const encoding of encodings) {
+      if (encoding === 'gzip' || encoding === 'x-gzip') {
+        body = zlib.gunzipSync(body);
+      } else if (encoding === 'deflate') {
+        // Some servers send raw deflate instead of zlib-wrapped
+        try {
+          body = zlib.inflateSync(body);
+        } catch {
+          body = zlib.inflateRawSync(body);
+        }
+      } else if (encoding === 'br') {
+        body = zlib.brotliDecompressSync(body);
+      } else if (encoding !== 'identity') {
+        throw new Error(`unsupported encoding ${encoding}`);
+      }
+    }
+    return body;
+  }
+
+  /**
+   * Decode a text response using the Content-Type charset, else a
+   * <meta charset> / CSS @charset in the first bytes, else a BOM, else UTF-8.
+   * Returns { text, charset }.
    */
-  async getLastModified(url) {
+  decodeText(result) {
+    const { body, headers } = result;
+    const head = body.subarray(0, CHARSET_SNIFF_BYTES).toString('latin1');
+    const charset = (headers['content-type'] || '').match(/charset\s*=\s*["']?([\w.:-]+)/i)?.[1]
+      || head.match(/<meta[^>]+charset\s*=\s*["']?([\w.:-]+)/i)?.[1]
+      || head.match(/^@charset\s+["']([\w.:-]+)["']/i)?.[1]
+      || (body[0] === 0xff && body[1] === 0xfe ? 'utf-16le' : null)
+      || (body[0] === 0xfe && body[1] === 0xff ? 'utf-16be' : null)
+      || 'utf-8';
+
     try {
-      const result = await this.fetchUrl(url, { method: 'HEAD' });
-      return result.headers['last-modified'] || null;
+      const decoder = new TextDecoder(charset);
+      let text = decoder.decode(body);
+      if (decoder.encoding === 'windows-1252') {
+        text = text.replace(/[\u0080-\u009f]/g, c => WINDOWS_1252_C1[c.charCodeAt(0) - 0x80]);
+      }
+      return { text, charset: decoder.encoding };
     } catch {
-      return null;
+      return { text: new TextDecoder('utf-8').decode(body), charset: 'utf-8' };
     }
   }
 
+  /**
+   * Conditional request headers from a cache entry's stored validators, or
+   * null when there is nothing to revalidate: a full scrape, no cache entry,
+   * or the saved file is gone (a 304 must never leave us without a copy).
+   */
+  async conditionalHeaders(entry, file) {
+    if (this.fullScrape || !entry || !file) return null;
+    if (!(await this.fileExists(path.join(this.outputDir, file)))) return null;
+    const headers = {};
+    if (entry.etag) headers['If-None-Match'] = entry.etag;
+    if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+    return headers;
+  }
+
+  /**
+   * Refresh a cache entry that revalidated as unchanged (304 or same hash)
+   */
+  touchCacheEntry(entry, result) {
+    entry.timestamp = new Date().toISOString();
+    if (result.etag) entry.etag = result.etag;
+    if (result.lastModified) entry.lastModified = result.lastModified;
+  }
+
   /**
    * Load cache from disk
    */
   async loadCache() {
     try {
-      const data = await fs.readFile(CACHE_FILE, 'utf-8');
+      const data = await fs.readFile(path.join(this.metadataDir, CACHE_FILE), 'utf-8');
       this.cache = JSON.parse(data);
       if (!this.cache.assets) this.cache.assets = {};
       return true;
@@ -158,241 +475,1364 @@ class IncrementalScraper {
   }
 
   /**
-   * Save cache to disk
+   * Save cache to disk
+   */
+  async saveCache() {
+    await fs.mkdir(this.metadataDir, { recursive: true });
+    await fs.writeFile(path.join(this.metadataDir, CACHE_FILE), JSON.stringify(this.cache, null, 2));
+  }
+
+  /**
+   * Determine which pages need scraping (incremental logic)
+   */
+  async determinePagesToScrape(links) {
+    const start = Date.now();
+    const included = links.filter(url => {
+      if (this.rules.isPageIncluded(url)) return true;
+      this.excludedPages.add(this.normalizeCacheKey(url));
+      return false;
+    });
+    const decisions = await Promise.all(included.map(url => this.needsScrape(url)));
+    const pagesToScrape = included.filter((url, i) => decisions[i]);
+    this.pagesSkipped += included.length - pagesToScrape.length;
+
+    this.timings.changeAnalysis = (this.timings.changeAnalysis || 0) + Date.now() - start;
+    return pagesToScrape;
+  }
+
+  /**
+   * Incremental check for one page. Pages that pass are fetched with a
+   * conditional GET, so "true" here only means "worth revalidating".
+   */
+  async needsScrape(url) {
+    // Normalize URL for cache key
+    const cacheKey = this.normalizeCacheKey(url);
+    const cached = this.cache[cacheKey];
+
+    // 1. Full scrape - scrape everything
+    if (this.fullScrape) return true;
+
+    // 2. Not in cache - need to scrape
+    if (!cached) return true;
+
+    // 3. Sitemap <lastmod> moved - changed
+    const sitemapLastmod = this.sitemapLastmod.get(cacheKey);
+    if (sitemapLastmod && sitemapLastmod !== cached.sitemapLastmod) return true;
+
+    // 4. Path policy: pages checked within their maxAge are not requested
+    const cacheAge = Date.now() - new Date(cached.timestamp).getTime();
+    const maxAge = this.rules.maxAgeFor(url);
+    if (maxAge > 0 && cacheAge < maxAge) return false;
+
+    // 5. Unchanged sitemap <lastmod> replaces the request while recent
+    if (sitemapLastmod && cacheAge <= SITEMAP_LASTMOD_MAX_AGE_MS) return false;
+
+    // 6. Revalidate with If-None-Match / If-Modified-Since (see fetchPage)
+    return true;
+  }
+
+  /**
+   * Breadth-first crawl from siteUrl, one depth level at a time.
+   * Unchanged pages reuse their cached links so the frontier keeps growing
+   * without re-fetching them. Stops at maxDepth / maxPages.
+   */
+  async crawl() {
+    const visited = new Set([this.normalizeCacheKey(this.siteUrl)]);
+    const graph = {};
+    const pages = [];
+    const pageResults = [];
+    let truncated = false;
+    let level = [this.siteUrl];
+    let depth = 0;
+
+    while (level.length > 0) {
+      const fetched = await this.scrapeBatch(level, depth === 0);
+      fetched.forEach(result => pageResults.push(result));
+
+      const nextLevel = [];
+      for (const url of level) {
+        if (this.gonePages.has(this.normalizeCacheKey(url))) continue;
+        const links = this.pageLinks(url, fetched);
+
+        pages.push(url);
+        graph[this.normalizeCacheKey(url)] = { depth, links: links.map(l => this.normalizeCacheKey(l)) };
+        if (depth >= this.maxDepth) continue;
+
+        for (const link of links) {
+          const linkKey = this.normalizeCacheKey(link);
+          if (visited.has(linkKey) || !this.isQueueable(link)) continue;
+          if (visited.size >= this.maxPages) {
+            truncated = true;
+            break;
+          }
+          visited.add(linkKey);
+          nextLevel.push(link);
+        }
+      }
+
+      if (nextLevel.length === 0) break;
+      level = nextLevel;
+      depth++;
+    }
+
+    return { pages, pageResults, graph, depth, truncated };
+  }
+
+  /**
+   * Run change detection on a batch of URLs and fetch the changed ones.
+   * Returns a Map of url -> page result. A failing root page is fatal.
+   */
+  async scrapeBatch(urls, includesRoot = false) {
+    const pagesToScrape = await this.determinePagesToScrape(urls);
+    return this.fetchPages(pagesToScrape, includesRoot);
+  }
+
+  /**
+   * Fetch pages (conditionally when cached). Returns a Map of url -> page
+   * result for changed pages only; unchanged ones count as skipped and keep
+   * their cached links. 404/410 pages are recorded as gone, 401 pages as
+   * password-protected (skipped, not failures); a failing root page is fatal.
+   */
+  async fetchPages(pagesToScrape, includesRoot = false) {
+    const fetchStart = Date.now();
+    const fetched = new Map();
+    const results = await Promise.allSettled(pagesToScrape.map(url => this.fetchPage(url)));
+    for (let i = 0; i < pagesToScrape.length; i++) {
+      const url = pagesToScrape[i];
+      if (results[i].status === 'fulfilled') {
+        const page = results[i].value;
+        if (page.notModified) {
+          this.touchCacheEntry(this.cache[this.normalizeCacheKey(url)], page);
+          this.pagesNotModified++;
+          this.pagesSkipped++;
+        } else {
+          fetched.set(url, page);
+          this.pagesScraped++;
+        }
+        continue;
+      }
+      this.pagesScraped++;
+      const err = results[i].reason;
+      if (includesRoot && url === this.siteUrl) throw err;
+      if (this.isGoneStatus(err.statusCode)) {
+        this.gonePages.add(this.normalizeCacheKey(url));
+        continue;
+      }
+      // Password-protected pages answer 401 with Webflow's password form
+      if (err.statusCode === 401) {
+        this.protectedPages.add(this.normalizeCacheKey(url));
+        continue;
+      }
+      console.warn(`⚠ Failed to fetch ${url}:`, err.message);
+      this.recordFailure(url, 'page', {
+        status: err.statusCode || null,
+        attempts: err.attempts || 1,
+        error: err.message
+      });
+    }
+    this.timings.changedPages = (this.timings.changedPages || 0) + Date.now() - fetchStart;
+    return fetched;
+  }
+
+  /**
+   * Resolve --urls / SYNC_TARGETS entries (full URLs, paths or bare CMS item
+   * slugs) to page cache keys. A bare slug matches every known page whose last
+   * path segment equals it. Returns null when a slug matches no known page,
+   * e.g. a newly created item - only a crawl can find where it lives.
+   */
+  resolveTargets(targets) {
+    const known = Object.keys({ ...this.previousGraph.pages, ...this.cache })
+      .filter(key => key !== 'assets' && this.rules.isPageIncluded(key));
+    const resolved = new Set();
+
+    for (const target of targets) {
+      if (/^https?:\/\//i.test(target) || target.startsWith('/')) {
+        try {
+          const u = new URL(target, this.baseUrl);
+          if (this.rules.isPageIncluded(u.href)) resolved.add(this.normalizeCacheKey(this.baseUrl.origin + u.pathname));
+        } catch {
+          return null;
+        }
+        continue;
+      }
+
+      const slug = target.replace(/^\/+|\/+$/g, '');
+      const matches = known.filter(key => new URL(key).pathname.split('/').pop() === slug);
+      if (matches.length === 0) return null;
+      matches.forEach(key => resolved.add(key));
+    }
+    return Array.from(resolved);
+  }
+
+  /**
+   * Targeted re-sync for CMS item webhooks: fetch only the given pages, the
+   * collection list pages that link to them (per the last link graph) and any
+   * pages those link to that we have never seen. Everything else keeps its
+   * cached state. Returns null when targets cannot be resolved.
+   */
+  async syncTargets(targets) {
+    const resolved = this.resolveTargets(targets);
+    if (!resolved) return null;
+
+    const previous = this.previousGraph.pages || {};
+    const listPages = Object.keys(previous).filter(key =>
+      previous[key].links.some(link => resolved.includes(link))
+    );
+    const toFetch = [...new Set([...resolved, ...listPages])].filter(key => this.isQueueable(key));
+    const fetched = await this.fetchPages(toFetch);
+
+    const known = new Set(Object.keys({ ...previous, ...this.cache }).filter(key => key !== 'assets'));
+    toFetch.forEach(key => known.add(key));
+    const newPages = [];
+    for (const page of fetched.values()) {
+      for (const link of page.links) {
+        const key = this.normalizeCacheKey(link);
+        if (known.has(key) || !this.isQueueable(link)) continue;
+        known.add(key);
+        newPages.push(link);
+      }
+    }
+    (await this.fetchPages(newPages)).forEach((page, url) => fetched.set(url, page));
+
+    const graph = { ...previous };
+    for (const [url, page] of fetched) {
+      const key = this.normalizeCacheKey(url);
+      graph[key] = { depth: graph[key]?.depth ?? 1, links: page.links.map(l => this.normalizeCacheKey(l)) };
+    }
+    this.gonePages.forEach(key => delete graph[key]);
+
+    const pages = [...known].filter(key => !this.gonePages.has(key));
+    this.pagesSkipped = Math.max(0, pages.length - fetched.size);
+    const depth = Math.max(0, ...Object.values(graph).map(node => node.depth));
+
+    // partial: pages outside the targets were not re-checked, so reconcile
+    // must not treat them as unlinked
+    return { pages, pageResults: Array.from(fetched.values()), graph, depth, truncated: false, partial: true };
+  }
+
+  /**
+   * Links for a page: freshly fetched, else cached, else from the last link graph
+   */
+  pageLinks(url, fetched) {
+    if (fetched.has(url)) return fetched.get(url).links;
+    const key = this.normalizeCacheKey(url);
+    return this.cache[key]?.links || this.previousGraph.pages?.[key]?.links || [];
+  }
+
+  /**
+   * Discover pages from sitemap.xml instead of crawling. Every listed page is
+   * checked in one batch; <lastmod> stands in for per-page HEAD requests.
+   * Returns null when no usable sitemap is found.
+   */
+  async discoverFromSitemap() {
+    const sitemapUrls = this.robots.sitemaps.length > 0
+      ? this.robots.sitemaps
+      : [new URL('/sitemap.xml', this.baseUrl).href];
+
+    const entries = [];
+    const seen = new Set();
+    for (const sitemapUrl of sitemapUrls) {
+      entries.push(...await this.fetchSitemap(sitemapUrl, seen));
+    }
+    if (entries.length === 0) return null;
+
+    const rootKey = this.normalizeCacheKey(this.siteUrl);
+    const pages = [this.siteUrl];
+    const keys = new Set([rootKey]);
+    let truncated = false;
+    let excluded = 0;
+    for (const entry of entries) {
+      // Sitemaps may list the custom domain - keep the path, use our origin
+      let url;
+      try {
+        const loc = new URL(entry.loc);
+        url = this.baseUrl.origin + loc.pathname;
+      } catch {
+        continue;
+      }
+      if (!this.isQueueable(url)) continue;
+      if (!this.rules.isPageIncluded(url)) {
+        this.excludedPages.add(this.normalizeCacheKey(url));
+        excluded++;
+        continue;
+      }
+      const key = this.normalizeCacheKey(url);
+      if (entry.lastmod) this.sitemapLastmod.set(key, entry.lastmod);
+      if (keys.has(key)) continue;
+      if (keys.size >= this.maxPages) {
+        truncated = true;
+        break;
+      }
+      keys.add(key);
+      pages.push(url);
+    }
+    if (excluded > 0) {
+      console.log(`   Skipped ${excluded} pages excluded by include/exclude rules`);
+    }
+
+    const fetched = await this.scrapeBatch(pages, true);
+    const graph = {};
+    for (const url of pages) {
+      const key = this.normalizeCacheKey(url);
+      if (this.gonePages.has(key)) continue;
+      graph[key] = {
+        depth: key === rootKey ? 0 : 1,
+        links: this.pageLinks(url, fetched).map(l => this.normalizeCacheKey(l))
+      };
+    }
+
+    const livePages = pages.filter(url => !this.gonePages.has(this.normalizeCacheKey(url)));
+    return { pages: livePages, pageResults: Array.from(fetched.values()), graph, depth: 1, truncated };
+  }
+
+  /**
+   * Fetch a sitemap (or sitemap index, recursively) and return its <url> entries
+   */
+  async fetchSitemap(sitemapUrl, seen, depth = 0) {
+    if (seen.has(sitemapUrl) || depth > MAX_SITEMAP_DEPTH) return [];
+    seen.add(sitemapUrl);
+
+    let result;
+    try {
+      result = await this.fetchUrl(sitemapUrl, { accept: 'application/xml,text/xml,*/*;q=0.8' });
+    } catch (err) {
+      console.warn(`⚠ Could not fetch sitemap ${sitemapUrl}:`, err.message);
+      return [];
+    }
+    if (result.statusCode !== 200) return [];
+
+    // sitemap.xml.gz is served gzipped as the file itself, not as a Content-Encoding
+    if (result.body[0] === 0x1f && result.body[1] === 0x8b) {
+      try {
+        result.body = zlib.gunzipSync(result.body);
+      } catch (err) {
+        console.warn(`⚠ Could not gunzip sitemap ${sitemapUrl}:`, err.message);
+        return [];
+      }
+    }
+    const sitemap = this.parseSitemap(this.decodeText(result).text);
+    if (!sitemap.isIndex) return sitemap.entries;
+
+    const entries = [];
+    for (const child of sitemap.entries) {
+      entries.push(...await this.fetchSitemap(child.loc, seen, depth + 1));
+    }
+    return entries;
+  }
+
+  /**
+   * Parse sitemap XML into { isIndex, entries: [{ loc, lastmod }] }
+   */
+  parseSitemap(xml) {
+    const isIndex = /<sitemapindex[\s>]/i.test(xml);
+    const blockRegex = isIndex ? /<sitemap>([\s\S]*?)<\/sitemap>/gi : /<url>([\s\S]*?)<\/url>/gi;
+    const readTag = (block, tag) => {
+      const m = block.match(new RegExp(`<${tag}>\\s*(?:<!\\[CDATA\\[)?([\\s\\S]*?)(?:\\]\\]>)?\\s*</${tag}>`, 'i'));
+      if (!m) return null;
+      return m[1].trim()
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+    };
+
+    const entries = [];
+    let match;
+    while ((match = blockRegex.exec(xml)) !== null) {
+      const loc = readTag(match[1], 'loc');
+      if (loc) entries.push({ loc, lastmod: readTag(match[1], 'lastmod') });
+    }
+    return { isIndex, entries };
+  }
+
+  /**
+   * Fetch and parse robots.txt (missing robots.txt allows everything)
+   */
+  async loadRobots() {
+    this.robots = { rules: [], sitemaps: [] };
+    try {
+      const result = await this.fetchUrl(new URL('/robots.txt', this.baseUrl).href, { accept: 'text/plain,*/*;q=0.8' });
+      if (result.statusCode === 200) {
+        this.robots = this.parseRobots(this.decodeText(result).text);
+      }
+    } catch (err) {
+      console.warn('⚠ Could not fetch robots.txt:', err.message);
+    }
+    return this.robots;
+  }
+
+  /**
+   * Parse robots.txt into the Allow/Disallow rules that apply to USER_AGENT
+   * (its own group if present, else the * group) plus any Sitemap: lines
+   */
+  parseRobots(text) {
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+      if (!match) continue;
+      const field = match[1].toLowerCase();
+      const value = match[2].trim();
+
+      if (field === 'sitemap') {
+        if (value) sitemaps.push(value);
+      } else if (field === 'user-agent') {
+        // Consecutive User-agent lines share one group
+        if (!current || current.rules.length > 0) {
+          current = { agents: [], rules: [] };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+      } else if ((field === 'allow' || field === 'disallow') && current) {
+        // An empty Disallow means "allow everything"
+        if (value) current.rules.push({ allow: field === 'allow', path: value });
+      }
+    }
+
+    const token = USER_AGENT.split('/')[0].toLowerCase();
+    let matching = groups.filter(g => g.agents.includes(token));
+    if (matching.length === 0) matching = groups.filter(g => g.agents.includes('*'));
+
+    return { rules: matching.flatMap(g => g.rules), sitemaps };
+  }
+
+  /**
+   * robots.txt check before a page is queued (crawl, sitemap and targeted
+   * syncs alike); disallowed pages are counted for the summary
+   */
+  isQueueable(url) {
+    if (this.isAllowedByRobots(url)) return true;
+    this.disallowedPages.add(this.normalizeCacheKey(url));
+    return false;
+  }
+
+  /**
+   * Check a URL against robots.txt rules - longest match wins, Allow wins ties
+   */
+  isAllowedByRobots(url) {
+    if (!this.robots || this.robots.rules.length === 0) return true;
+    let target;
+    try {
+      const u = new URL(url);
+      target = u.pathname + u.search;
+    } catch {
+      return true;
+    }
+
+    let best = null;
+    for (const rule of this.robots.rules) {
+      // "*" matches any run of characters, a trailing "$" anchors the end
+      const anchored = rule.path.endsWith('$');
+      const pattern = (anchored ? rule.path.slice(0, -1) : rule.path)
+        .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*');
+      if (!new RegExp('^' + pattern + (anchored ? '$' : '')).test(target)) continue;
+      if (!best || rule.path.length > best.path.length ||
+          (rule.path.length === best.path.length && rule.allow)) {
+        best = rule;
+      }
+    }
+    return !best || best.allow;
+  }
+
+  /**
+   * Load the link graph from the previous sync (fallback source of links)
+   */
+  async loadLinkGraph() {
+    try {
+      this.previousGraph = JSON.parse(await fs.readFile(path.join(this.metadataDir, LINK_GRAPH_FILE), 'utf-8'));
+    } catch {
+      this.previousGraph = { pages: {} };
+    }
+  }
+
+  /**
+   * Save the discovered link graph so incremental runs know every page
+   */
+  async saveLinkGraph({ graph, depth, truncated }) {
+    const linkGraph = {
+      generatedAt: new Date().toISOString(),
+      root: this.normalizeCacheKey(this.siteUrl),
+      maxDepth: this.maxDepth,
+      maxPages: this.maxPages,
+      depthReached: depth,
+      truncated,
+      pages: graph
+    };
+    await fs.writeFile(path.join(this.metadataDir, LINK_GRAPH_FILE), JSON.stringify(linkGraph, null, 2));
+  }
+
+  normalizeCacheKey(url) {
+    try {
+      const u = new URL(url);
+      return u.origin + u.pathname.replace(/\/$/, '') || u.origin + '/';
+    } catch {
+      return url;
+    }
+  }
+
+  /**
+   * Extract internal links from HTML (same origin <a href> only - stylesheets
+   * and icons are assets, not pages to crawl)
+   */
+  extractInternalLinks(html, baseUrl) {
+    const links = new Set();
+    const base = new URL(baseUrl);
+    
+    for (const { attrs } of startTags(html, 'a')) {
+      try {
+        const href = (attrs.href ?? '').split('#')[0].split('?')[0].trim();
+        if (!href || href.startsWith('mailto:') || href.startsWith('tel:') || href.startsWith('javascript:')) {
+          continue;
+        }
+        const fullUrl = new URL(href, baseUrl);
+        // Same origin only, within the site's include/exclude patterns
+        if (fullUrl.origin === base.origin && fullUrl.pathname) {
+          if (!this.rules.isPageIncluded(fullUrl.href)) {
+            this.excludedPages.add(this.normalizeCacheKey(fullUrl.href));
+            continue;
+          }
+          const path = fullUrl.pathname === '/' ? base.origin + '/' : fullUrl.origin + fullUrl.pathname.replace(/\/$/, '');
+          links.add(path);
+        }
+      } catch {
+        // Invalid URL, skip
+      }
+    }
+
+    return Array.from(links);
+  }
+
+  /**
+   * Extract external CSS, JS and media (images, video, icons, Lottie) URLs from HTML
+   */
+  extractAssets(html, baseUrl) {
+    const assets = { css: [], js: [], media: this.extractMediaUrls(html, baseUrl) };
+    const add = (list, value) => {
+      try {
+        const url = new URL(value, baseUrl).href;
+        if (!this.keepRemote(url)) list.push(url);
+      } catch {}
+    };
+
+    // Link stylesheets
+    for (const { attrs } of startTags(html, 'link')) {
+      if (/\.css/i.test(attrs.href || '')) add(assets.css, attrs.href);
+    }
+
+    // Script src
+    for (const { attrs } of startTags(html, 'script')) {
+      if (attrs.src) add(assets.js, attrs.src);
+    }
+
+    return assets;
+  }
+
+  /**
+   * Extract media URLs: src/srcset/poster/data-src attributes, icon <link>s and
+   * url(...) in style attributes and inline <style> blocks
+   */
+  extractMediaUrls(html, baseUrl) {
+    const urls = new Set();
+    const add = (raw) => {
+      const value = (raw || '').trim();
+      if (!value || value.startsWith('data:') || value.startsWith('#')) return;
+      try {
+        const url = new URL(value, baseUrl).href;
+        if (!/^https?:/.test(url) || this.keepRemote(url)) return;
+        if (/\.(css|js)(\?|$)/i.test(new URL(url).pathname)) return;
+        urls.add(url);
+      } catch {}
+    };
+
+    for (const { name, attrs } of startTags(html)) {
+      if (['img', 'source', 'video', 'audio', 'track'].includes(name)) {
+        add(attrs.src);
+        add(attrs.poster);
+        if (attrs.srcset) attrs.srcset.split(',').forEach(candidate => add(candidate.trim().split(/\s+/)[0]));
+      } else if (name === 'link' && /icon/i.test(attrs.rel || '')) {
+        add(attrs.href);
+      }
+      // Lottie animations and lazy-loaded media
+      add(attrs['data-src']);
+      if (attrs.style) this.extractCssUrls(attrs.style, baseUrl).forEach(u => urls.add(u));
+    }
+
+    this.extractInlineStyles(html).forEach(css => {
+      this.extractCssUrls(css, baseUrl).forEach(u => urls.add(u));
+    });
+    return Array.from(urls);
+  }
+
+  /**
+   * Extract url(...) references (fonts, background images) from CSS,
+   * resolved against the stylesheet URL
+   */
+  extractCssUrls(css, baseUrl) {
+    const urls = new Set();
+    const regex = /url\(\s*(['"]?)([^'")]+)\1\s*\)/gi;
+    let match;
+    while ((match = regex.exec(css)) !== null) {
+      const value = match[2].trim();
+      if (!value || value.startsWith('data:') || value.startsWith('#')) continue;
+      try {
+        const url = new URL(value, baseUrl).href;
+        if (/^https?:/.test(url) && !this.keepRemote(url) && !/\.css(\?|$)/i.test(url)) urls.add(url);
+      } catch {}
+    }
+    return Array.from(urls);
+  }
+
+  /**
+   * CDN libraries stay remote unless vendoring is enabled (--vendor-cdn), as
+   * do assets outside the asset include/exclude patterns
+   */
+  keepRemote(url) {
+    return (!this.vendorCdn && this.isCdnUrl(url)) || !this.rules.isAssetIncluded(url);
+  }
+
+  isCdnUrl(url) {
+    try {
+      const host = new URL(url).hostname.toLowerCase();
+      return CDN_DOMAINS.some(cdn => host.includes(cdn));
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Extract inline <style> blocks
+   */
+  extractInlineStyles(html) {
+    const styles = [];
+    const regex = /<style[^>]*>([\s\S]*?)<\/style>/gi;
+    let match;
+    while ((match = regex.exec(html)) !== null) {
+      const content = match[1].trim();
+      if (content.length > 0) styles.push(content);
+    }
+    return styles;
+  }
+
+  /**
+   * Extract inline <script> blocks (skip tiny ones < 100 chars)
+   */
+  extractInlineScripts(html) {
+    const scripts = [];
+    const regex = /<script[^>]*>([\s\S]*?)<\/script>/gi;
+    let match;
+    while ((match = regex.exec(html)) !== null) {
+      const content = match[1].trim();
+      if (content.length >= MIN_INLINE_SCRIPT_LENGTH) scripts.push(content);
+    }
+    return scripts;
+  }
+
+  /**
+   * Convert URL to safe filename
+   */
+  urlToFilename(url, ext = '.html') {
+    return urlToFilename(url, ext);
+  }
+
+  /**
+   * Repo path of a page's HTML (html/blog/my-post.html), from the url map
+   */
+  pageFile(url) {
+    return this.urlMap.pageFile(this.normalizeCacheKey(url));
+  }
+
+  /**
+   * A page's name without html/ and .html - also names its rendered copy
+   * and screenshots
+   */
+  pageSlug(url) {
+    return this.pageFile(url).slice('html/'.length, -'.html'.length);
+  }
+
+  /**
+   * Fetch a single page. Cached pages are revalidated with a conditional GET;
+   * a 304, or a 200 whose body hashes the same as before (Webflow's CDN often
+   * changes ETag/Last-Modified on every publish), returns { notModified }.
+   */
+  async fetchPage(url) {
+    const cached = this.cache[this.normalizeCacheKey(url)];
+    const headers = await this.conditionalHeaders(cached, this.pageFile(url));
+    const result = await this.fetchUrl(url, { headers: headers || {} });
+    const etag = result.headers['etag'] || null;
+    const lastModified = result.headers['last-modified'] || null;
+
+    if (result.statusCode === 304) return { url, notModified: true, etag, lastModified };
+    if (result.statusCode !== 200) {
+      const err = new Error(`HTTP ${result.statusCode} for ${url}`);
+      err.statusCode = result.statusCode;
+      err.attempts = result.attempts;
+      throw err;
+    }
+    // Saved as UTF-8, so a legacy charset declaration has to say so too
+    const { text, charset } = this.decodeText(result);
+    const html = charset === 'utf-8' ? text : text.replace(/(<meta[^>]+charset\s*=\s*["']?)[\w.:-]+/i, '$1utf-8');
+    const hash = this.hashContent(this.normalizeContent(html));
+    if (headers && hash === cached.hash) return { url, notModified: true, etag, lastModified };
+
+    return {
+      url,
+      html,
+      hash,
+      etag,
+      lastModified,
+      links: this.extractInternalLinks(html, url),
+      assets: this.extractAssets(html, url),
+      inlineStyles: this.extractInlineStyles(html),
+      inlineScripts: this.extractInlineScripts(html)
+    };
+  }
+
+  /**
+   * Fetch asset - returns { content } for CSS/JS, the raw Buffer { body } for
+   * binary media, { notModified } when a conditional GET revalidates the
+   * cached copy, or null (recorded in the failure report)
+   */
+  async fetchAsset(assetUrl, type = 'css') {
+    const binary = type === 'media';
+    const cached = this.cache.assets[assetUrl];
+    try {
+      const headers = await this.conditionalHeaders(cached, cached?.file);
+      const result = await this.fetchUrl(assetUrl, { accept: '*/*', headers: headers || {} });
+      const etag = result.headers['etag'] || null;
+      const lastModified = result.headers['last-modified'] || null;
+      if (result.statusCode === 304) return { url: assetUrl, notModified: true, etag, lastModified };
+      if (this.isGoneStatus(result.statusCode)) this.goneAssets.add(assetUrl);
+      if (result.statusCode !== 200) {
+        this.recordFailure(assetUrl, type, {
+          status: result.statusCode,
+          attempts: result.attempts,
+          error: `HTTP ${result.statusCode}`
+        });
+        return null;
+      }
+      if (binary && result.body.length > MAX_BINARY_ASSET_BYTES) {
+        console.warn(`⚠ Skipping ${assetUrl}: ${result.body.length} bytes exceeds size limit`);
+        return null;
+      }
+      let content = null;
+      if (!binary) {
+        const { text, charset } = this.decodeText(result);
+        content = charset === 'utf-8' ? text : text.replace(/^@charset\s+["'][\w.:-]+["']/i, '@charset "utf-8"');
+      }
+      const hash = this.hashContent(binary ? result.body : this.normalizeContent(content, false));
+      if (headers && hash === cached.hash) {
+        return { url: assetUrl, notModified: true, etag, lastModified };
+      }
+      return {
+        url: assetUrl,
+        content,
+        body: result.body,
+        contentType: result.headers['content-type'] || '',
+        hash,
+        etag,
+        lastModified,
+        size: result.body.length
+      };
+    } catch (err) {
+      this.recordFailure(assetUrl, type, { attempts: err.attempts || 1, error: err.message });
+      return null;
+    }
+  }
+
+  /**
+   * Fetch a list of { url, type } assets through the request pool, dropping failures
+   */
+  async fetchAssets(assets) {
+    const fetched = await Promise.all(assets.map(a => this.fetchAsset(a.url, a.type)));
+    return fetched
+      .map((r, i) => r && { ...assets[i], ...r })
+      .filter(Boolean);
+  }
+
+  /**
+   * Media whose content-addressed file is already on disk is not re-downloaded
+   */
+  async isMediaCached(url) {
+    const cached = this.cache.assets[url];
+    if (this.fullScrape || !cached?.hash || !cached.file) return false;
+    return this.fileExists(path.join(this.outputDir, cached.file));
+  }
+
+  async fileExists(filepath) {
+    try {
+      await fs.access(filepath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Pretty-print content before saving when --pretty is on
+   */
+  async prettify(content, type) {
+    return this.formatter ? this.formatter.format(content, type) : content;
+  }
+
+  /**
+   * Save HTML file
+   */
+  async saveHtml(filename, content) {
+    const filepath = path.join(this.outputDir, 'html', filename);
+    await fs.mkdir(path.dirname(filepath), { recursive: true });
+    await fs.writeFile(filepath, content);
+    this.savedFiles.push(`html/${filename}`);
+    this.filesUpdated++;
+  }
+
+  /**
+   * Save CSS/JS file
+   */
+  async saveAsset(filename, content, subdir) {
+    const filepath = path.join(this.outputDir, subdir, filename);
+    await fs.mkdir(path.dirname(filepath), { recursive: true });
+    await fs.writeFile(filepath, content);
+    this.savedFiles.push(`${subdir}/${filename}`);
+    this.filesUpdated++;
+  }
+
+  /**
+   * Save a binary asset under assets/, named by content hash so identical
+   * files fetched from different URLs are stored once. Returns the repo path.
+   */
+  async saveBinaryAsset(asset) {
+    let ext = path.extname(new URL(asset.url).pathname).toLowerCase();
+    if (!/^\.[a-z0-9]{1,5}$/.test(ext)) {
+      ext = MEDIA_EXTENSIONS[asset.contentType.split(';')[0].trim().toLowerCase()] || '';
+    }
+    const filename = asset.hash.slice(0, 16) + ext;
+    const filepath = path.join(this.outputDir, 'assets', filename);
+    if (!(await this.fileExists(filepath))) {
+      await fs.mkdir(path.join(this.outputDir, 'assets'), { recursive: true });
+      await fs.writeFile(filepath, asset.body);
+      this.filesUpdated++;
+    }
+    return `assets/${filename}`;
+  }
+
+  /**
+   * Save a page's inline <style>/<script> blocks as <slug>-inline-<hash>.css/.js.
+   * Names depend only on the page and the block content, so re-scraping one
+   * page never overwrites another page's blocks. Returns the page's manifest entry.
+   */
+  async saveInlineBlocks(page) {
+    const slug = this.urlToFilename(page.url, '');
+    const entry = { css: [], js: [] };
+    const blocks = [['css', page.inlineStyles], ['js', page.inlineScripts]];
+
+    for (const [type, contents] of blocks) {
+      for (const content of contents) {
+        const filename = `${slug}-inline-${this.hashContent(content).slice(0, 8)}.${type}`;
+        if (entry[type].includes(filename)) continue;
+        entry[type].push(filename);
+        if (type === 'css') this.inlineStyleCount++;
+        else this.inlineScriptCount++;
+
+        // Same name means same content - nothing to rewrite
+        if (!(await this.fileExists(path.join(this.outputDir, type, filename)))) {
+          await this.saveAsset(filename, await this.prettify(content, type), type);
+        }
+      }
+    }
+    return entry;
+  }
+
+  async loadInlineManifest() {
+    try {
+      this.inlineManifest = JSON.parse(await fs.readFile(path.join(this.metadataDir, INLINE_MANIFEST_FILE), 'utf-8'));
+    } catch {
+      this.inlineManifest = {};
+    }
+  }
+
+  /**
+   * Delete css/ and js/ files nothing points to: inline files no page's
+   * manifest entry references (stale blocks, legacy inline-<n> files) and
+   * stylesheets or scripts no cache or url-map entry names (left behind by
+   * a rename or a layout change). Returns the count removed.
+   *
+   * Skipped when a page, stylesheet or script failed to fetch this run: its
+   * entries may be missing, and a transient error must never delete files.
+   */
+  async pruneOrphanedFiles() {
+    if (this.failures.some(f => ['page', 'css', 'js'].includes(f.type))) {
+      console.warn('⚠ Keeping unreferenced css/js files - some pages, stylesheets or scripts failed to fetch');
+      return 0;
+    }
+    const referenced = new Set();
+    for (const entry of Object.values(this.inlineManifest)) {
+      entry.css.forEach(f => referenced.add(`css/${f}`));
+      entry.js.forEach(f => referenced.add(`js/${f}`));
+    }
+    Object.values(this.urlMap.assets).forEach(file => referenced.add(file));
+    for (const [url, asset] of Object.entries(this.cache.assets)) {
+      if (asset.file) referenced.add(asset.file);
+      // Not migrated yet - keep whichever flat name it has
+      else ['css', 'js'].forEach(type => referenced.add(`${type}/${urlToFilename(url, `.${type}`)}`));
+    }
+
+    let removed = 0;
+    for (const type of ['css', 'js']) {
+      for (const file of await this.listFiles(type)) {
+        if (referenced.has(file)) continue;
+        await fs.unlink(path.join(this.outputDir, file));
+        removed++;
+        // Drop directories the file leaves empty (css/<host>/...)
+        for (let dir = path.posix.dirname(file); dir !== type; dir = path.posix.dirname(dir)) {
+          try {
+            await fs.rmdir(path.join(this.outputDir, dir));
+          } catch {
+            break;
+          }
+        }
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Repo paths of the files under a directory of the mirror (recursive)
+   */
+  async listFiles(dir) {
+    let entries = [];
+    try {
+      entries = await fs.readdir(path.join(this.outputDir, dir), { withFileTypes: true });
+    } catch {}
+    const files = [];
+    for (const entry of entries) {
+      const file = `${dir}/${entry.name}`;
+      if (entry.isDirectory()) files.push(...await this.listFiles(file));
+      else files.push(file);
+    }
+    return files;
+  }
+
+  /**
+   * 404 Not Found / 410 Gone mean the page or asset was unpublished
+   */
+  isGoneStatus(statusCode) {
+    return statusCode === 404 || statusCode === 410;
+  }
+
+  /**
+   * HEAD check for a cached page that was not fetched this run
+   */
+  async isPageGone(url) {
+    try {
+      const result = await this.fetchUrl(url, { method: 'HEAD' });
+      return this.isGoneStatus(result.statusCode);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Reconcile the cache with the live site: drop pages that returned 404/410
+   * or are no longer linked / in the sitemap, then assets no remaining page
+   * references. Deletes their files and cache entries.
+   *
+   * A truncated crawl, a targeted sync or a run where some pages failed to
+   * fetch (their links are unknown) cannot prove a page is unlinked, so only
+   * 404/410 count then. With --reconcile (site_unpublish) every cached page
+   * not fetched this run is re-checked as well.
+   */
+  async reconcile(crawlResult, fetchedKeys) {
+    const discovered = new Set(crawlResult.pages.map(url => this.normalizeCacheKey(url)));
+    const incomplete = crawlResult.truncated || crawlResult.partial || this.failures.some(f => f.type === 'page');
+    const cachedPages = Object.keys(this.cache).filter(key => key !== 'assets');
+
+    const checks = await Promise.all(cachedPages.map(async (key) => {
+      if (this.gonePages.has(key)) return true;
+      if (!discovered.has(key)) {
+        return !incomplete || this.isPageGone(key);
+      }
+      return this.reconcileAll && !fetchedKeys.has(key) && this.isPageGone(key);
+    }));
+    for (let i = 0; i < cachedPages.length; i++) {
+      if (checks[i]) await this.removePage(cachedPages[i]);
+    }
+
+    // Assets: keep everything referenced by a remaining page (and the
+    // fonts/images its stylesheets reference). Pages cached before asset
+    // lists were recorded make the referenced set unknowable - skip then.
+    const remaining = Object.keys(this.cache).filter(key => key !== 'assets');
+    if (remaining.some(key => !Array.isArray(this.cache[key].assets))) return this.removed;
+
+    const referenced = new Set();
+    for (const key of remaining) {
+      for (const url of this.cache[key].assets) {
+        referenced.add(url);
+        (this.cache.assets[url]?.refs || []).forEach(ref => referenced.add(ref));
+      }
+    }
+    for (const url of Object.keys(this.cache.assets)) {
+      if (!referenced.has(url) || this.goneAssets.has(url)) await this.removeAsset(url);
+    }
+    return this.removed;
+  }
+
+  /**
+   * Delete a page's HTML file (plus rendered copy and screenshots), cache
+   * entry and manifest entries
+   */
+  async removePage(key) {
+    await fs.rm(path.join(this.outputDir, this.pageFile(key)), { force: true });
+    const rendered = this.renderManifest[key];
+    if (rendered) await fs.rm(path.join(this.outputDir, rendered.file), { force: true });
+    for (const viewport of Object.keys(VIEWPORTS)) {
+      await fs.rm(path.join(this.outputDir, 'screenshots', `${this.pageSlug(key)}-${viewport}.png`), { force: true });
+    }
+    this.urlMap.release(key);
+    delete this.cache[key];
+    delete this.inlineManifest[key];
+    delete this.renderManifest[key];
+    this.removed.pages.push(key);
+  }
+
+  /**
+   * Delete an asset's cache entry, and its file unless another URL shares it
+   * (binary assets are deduplicated by content hash)
    */
-  async saveCache() {
-    await fs.mkdir(METADATA_DIR, { recursive: true });
-    await fs.writeFile(CACHE_FILE, JSON.stringify(this.cache, null, 2));
+  async removeAsset(url) {
+    const file = this.cache.assets[url].file;
+    delete this.cache.assets[url];
+    this.urlMap.release(url);
+    if (file && !Object.values(this.cache.assets).some(a => a.file === file)) {
+      await fs.rm(path.join(this.outputDir, file), { force: true });
+    }
+    this.removed.assets.push(url);
   }
 
   /**
-   * Determine which pages need scraping (incremental logic)
+   * Local repo path (e.g. html/about.html, css/site.css) for a URL we mirror,
+   * or null if it is not part of the mirror
    */
-  async determinePagesToScrape(links) {
-    const pagesToScrape = [];
-    const start = Date.now();
-
-    for (const url of links) {
-      // Normalize URL for cache key
-      const cacheKey = this.normalizeCacheKey(url);
-      
-      // 1. Full scrape - scrape everything
-      if (this.fullScrape) {
-        pagesToScrape.push(url);
-        continue;
-      }
-
-      // 2. Not in cache - need to scrape
-      if (!this.cache[cacheKey]) {
-        pagesToScrape.push(url);
-        continue;
-      }
-
-      // 3. Cache too old - re-scrape
-      const cacheAge = Date.now() - new Date(this.cache[cacheKey].timestamp).getTime();
-      if (cacheAge > CACHE_MAX_AGE_MS) {
-        pagesToScrape.push(url);
-        continue;
-      }
+  localPathFor(url) {
+    const asset = this.cache.assets[url];
+    if (asset?.file) return asset.file;
 
-      // 4. Quick HEAD request for Last-Modified comparison
-      const lastModified = await this.getLastModified(url);
-      const cachedModified = this.cache[cacheKey].lastModified;
-      
-      if (lastModified !== cachedModified) {
-        pagesToScrape.push(url);
-      } else {
-        this.pagesSkipped++;
-      }
-    }
-
-    this.timings.changeAnalysis = Date.now() - start;
-    return pagesToScrape;
+    try {
+      const u = new URL(url);
+      if (u.origin !== this.baseUrl.origin) return null;
+      const key = this.normalizeCacheKey(u.href);
+      if (key !== 'assets' && this.cache[key]) return this.pageFile(key);
+    } catch {}
+    return null;
   }
 
-  normalizeCacheKey(url) {
+  /**
+   * Rewrite one reference found in fromFile: mirrored URLs become relative
+   * local paths (keeping #fragments); other same-origin paths become absolute
+   * so they still resolve once the file is served from elsewhere
+   */
+  rewriteReference(value, baseUrl, fromFile) {
+    const trimmed = value.trim();
+    if (!trimmed || /^(#|data:|mailto:|tel:|javascript:)/i.test(trimmed)) return value;
+
+    let url;
     try {
-      const u = new URL(url);
-      return u.origin + u.pathname.replace(/\/$/, '') || u.origin + '/';
+      url = new URL(trimmed, baseUrl);
     } catch {
-      return url;
+      return value;
+    }
+    const fragment = url.hash;
+    url.hash = '';
+
+    const local = this.localPathFor(url.href) || this.localPathFor(url.origin + url.pathname);
+    if (local) {
+      const relative = path.posix.relative(path.posix.dirname(fromFile), local) || path.posix.basename(local);
+      return encodeURI(relative) + fragment;
+    }
+    if (/^https?:/.test(url.protocol) && !/^[a-z][a-z0-9+.-]*:/i.test(trimmed)) {
+      return url.href + fragment;
     }
+    return value;
   }
 
   /**
-   * Extract internal links from HTML (same origin only)
+   * Link-rewriting pass over the HTML and CSS files saved this run, so the
+   * mirror can be browsed offline or served from any static host. When this
+   * run mirrored new URLs, the files saved earlier are passed over too: they
+   * still link to those URLs absolutely. Their relative references are
+   * already local, so only absolute ones are touched there.
    */
-  extractInternalLinks(html, baseUrl) {
-    const links = new Set();
-    const base = new URL(baseUrl);
-    
-    // Match href="..." and href='...'
-    const hrefRegex = /href\s*=\s*["']([^"']+)["']/gi;
-    let match;
-    while ((match = hrefRegex.exec(html)) !== null) {
+  async rewriteReferences(sources, mirroredNew) {
+    const files = new Map(this.savedFiles.filter(file => sources.has(file)).map(file => [file, sources.get(file)]));
+    const earlier = new Set();
+    if (mirroredNew) {
+      for (const [file, url] of this.mirroredSources()) {
+        if (files.has(file)) continue;
+        files.set(file, url);
+        earlier.add(file);
+      }
+    }
+
+    let rewrittenCount = 0;
+    for (const [file, sourceUrl] of files) {
+      if (!/\.(html|css)$/.test(file)) continue;
+      const filepath = path.join(this.outputDir, file);
+      let content;
       try {
-        const href = match[1].split('#')[0].split('?')[0].trim();
-        if (!href || href.startsWith('mailto:') || href.startsWith('tel:') || href.startsWith('javascript:')) {
-          continue;
-        }
-        const fullUrl = new URL(href, baseUrl);
-        // Same origin only
-        if (fullUrl.origin === base.origin && fullUrl.pathname) {
-          const path = fullUrl.pathname === '/' ? base.origin + '/' : fullUrl.origin + fullUrl.pathname.replace(/\/$/, '');
-          links.add(path);
-        }
+        content = await fs.readFile(filepath, 'utf-8');
       } catch {
-        // Invalid URL, skip
+        continue;
+      }
+      const type = file.endsWith('.html') ? 'html' : 'css';
+      const rewritten = mapReferences(content, value => {
+        if (earlier.has(file) && !ABSOLUTE_URL.test(value.trim())) return value;
+        return this.rewriteReference(value, sourceUrl, file);
+      }, type);
+      if (rewritten !== content) {
+        await fs.writeFile(filepath, rewritten);
+        rewrittenCount++;
       }
     }
-
-    return Array.from(links);
+    return rewrittenCount;
   }
 
   /**
-   * Extract external CSS and JS URLs from HTML
+   * Every HTML and CSS file in the mirror with the URL its references are
+   * relative to: pages and their rendered copies, stylesheets, inline styles
    */
-  extractAssets(html, baseUrl) {
-    const assets = { css: [], js: [] };
-    const base = new URL(baseUrl);
-
-    // Link stylesheets
-    const linkRegex = /<link[^>]+href\s*=\s*["']([^"']+\.css[^"']*)["'][^>]*>/gi;
-    let match;
-    while ((match = linkRegex.exec(html)) !== null) {
-      try {
-        const url = new URL(match[1], baseUrl).href;
-        if (!this.isCdnUrl(url)) assets.css.push(url);
-      } catch {}
+  *mirroredSources() {
+    for (const key of Object.keys(this.cache)) {
+      if (key !== 'assets') yield [this.pageFile(key), key];
     }
-
-    // Script src
-    const scriptRegex = /<script[^>]+src\s*=\s*["']([^"']+)["'][^>]*>/gi;
-    while ((match = scriptRegex.exec(html)) !== null) {
-      try {
-        const url = new URL(match[1], baseUrl).href;
-        if (!this.isCdnUrl(url)) assets.js.push(url);
-      } catch {}
+    for (const [key, entry] of Object.entries(this.renderManifest)) yield [entry.file, key];
+    for (const [url, asset] of Object.entries(this.cache.assets)) {
+      if (asset.file?.endsWith('.css')) yield [asset.file, url];
     }
-
-    return assets;
-  }
-
-  isCdnUrl(url) {
-    try {
-      const host = new URL(url).hostname.toLowerCase();
-      return CDN_DOMAINS.some(cdn => host.includes(cdn));
-    } catch {
-      return false;
+    for (const [key, entry] of Object.entries(this.inlineManifest)) {
+      for (const file of entry.css) yield [`css/${file}`, key];
     }
   }
 
   /**
-   * Extract inline <style> blocks
+   * Run the link checker over every known page: fetched pages are
+   * re-extracted, the rest reuse their records from the last report
    */
-  extractInlineStyles(html) {
-    const styles = [];
-    const regex = /<style[^>]*>([\s\S]*?)<\/style>/gi;
-    let match;
-    while ((match = regex.exec(html)) !== null) {
-      const content = match[1].trim();
-      if (content.length > 0) styles.push(content);
+  async checkPageLinks(pageResults) {
+    const checker = new LinkChecker(this.siteUrl, {
+      fetchUrl: (url, options) => this.fetchUrl(url, options),
+      normalizeKey: url => this.normalizeCacheKey(url),
+      checkExternal: this.checkExternal
+    });
+    await checker.load(path.join(this.metadataDir, LINK_REPORT_FILE));
+    for (const page of pageResults) {
+      const assets = [...page.assets.css, ...page.assets.js, ...page.assets.media];
+      checker.addPage(this.normalizeCacheKey(page.url), page.url, page.html, assets);
     }
-    return styles;
+    const pageKeys = Object.keys(this.cache).filter(key => key !== 'assets');
+    checker.retain(pageKeys);
+    const result = await checker.check(new Set(pageKeys), new Set(Object.keys(this.cache.assets)));
+    await checker.write(path.join(this.metadataDir, LINK_REPORT_FILE));
+    return result;
   }
 
   /**
-   * Extract inline <script> blocks (skip tiny ones < 100 chars)
+   * Render changed pages in a headless browser (--render). The DOM is saved
+   * as html/<page>.rendered.html next to the raw HTML and JSON loaded via
+   * XHR/fetch as data/<name>-<hash>.json; files are only rewritten when
+   * their normalized content changed. Returns saved file -> page URL.
    */
-  extractInlineScripts(html) {
-    const scripts = [];
-    const regex = /<script[^>]*>([\s\S]*?)<\/script>/gi;
-    let match;
-    while ((match = regex.exec(html)) !== null) {
-      const content = match[1].trim();
-      if (content.length >= MIN_INLINE_SCRIPT_LENGTH) scripts.push(content);
+  async renderPages(pageResults) {
+    const saved = new Map();
+    const results = await this.renderer.renderAll(pageResults.map(page => page.url));
+    for (const result of results) {
+      if (result.error) {
+        console.warn(`⚠ Failed to render ${result.url}:`, result.error);
+        this.recordFailure(result.url, 'render', { error: result.error });
+        continue;
+      }
+
+      const key = this.normalizeCacheKey(result.url);
+      const previous = this.renderManifest[key];
+      const file = `html/${this.pageSlug(result.url)}.rendered.html`;
+      const hash = this.hashContent(this.normalizeContent(result.html));
+      if (!previous || previous.hash !== hash || !(await this.fileExists(path.join(this.outputDir, file)))) {
+        await this.saveHtml(file.slice('html/'.length), await this.prettify(result.html, 'html'));
+      }
+      saved.set(file, result.url);
+
+      const data = [];
+      for (const response of result.data) {
+        const dataFile = `data/${this.urlToFilename(response.url, '')}-${this.hashContent(response.url).slice(0, 8)}.json`;
+        const content = JSON.stringify(response.body, null, 2) + '\n';
+        const existing = await fs.readFile(path.join(this.outputDir, dataFile), 'utf-8').catch(() => null);
+        if (existing !== content) await this.saveAsset(path.basename(dataFile), content, 'data');
+        if (!data.some(d => d.file === dataFile)) data.push({ url: response.url, status: response.status, file: dataFile });
+      }
+      this.renderManifest[key] = { file, hash, data };
     }
-    return scripts;
+    return saved;
   }
 
   /**
-   * Convert URL to safe filename
+   * Screenshot changed pages at each viewport and diff them against the
+   * previous sync's copies (--screenshots). Returns ScreenshotDiff#capture's
+   * result.
    */
-  urlToFilename(url, ext = '.html') {
+  async screenshotPages(pageResults) {
+    const differ = new ScreenshotDiff(this.outputDir, {
+      renderer: this.renderer,
+      fileName: url => this.pageSlug(url),
+      threshold: this.screenshotThreshold
+    });
+    const result = await differ.capture(pageResults.map(page => page.url));
+    for (const failure of result.failed) {
+      console.warn(`⚠ Failed to screenshot ${failure.url}:`, failure.error);
+      this.recordFailure(failure.url, 'screenshot', { error: failure.error });
+    }
+    return result;
+  }
+
+  async loadRenderManifest() {
     try {
-      const u = new URL(url);
-      let name = u.pathname || 'index';
-      if (name === '/' || name === '') name = 'index';
-      name = name.replace(/^\//, '').replace(/\/$/, '') || 'index';
-      name = name.replace(/\.html?$/i, '');
-      name = name.replace(/[^a-zA-Z0-9-_]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
-      return (name || 'index') + ext;
+      this.renderManifest = JSON.parse(await fs.readFile(path.join(this.metadataDir, RENDER_MANIFEST_FILE), 'utf-8'));
     } catch {
-      return 'page' + Math.random().toString(36).slice(2) + ext;
+      this.renderManifest = {};
     }
   }
 
   /**
-   * Fetch and save a single page
+   * Load metadata/url-map.json. A mirror without one (written before the url
+   * map, so flat) or with another --layout is migrated: pages, rendered
+   * copies, stylesheets, scripts and screenshots move to their new names and
+   * the relative references between them are fixed.
    */
-  async fetchPage(url) {
-    const result = await this.fetchUrl(url);
-    if (result.statusCode !== 200) {
-      throw new Error(`HTTP ${result.statusCode} for ${url}`);
+  async loadUrlMap() {
+    const saved = await UrlMap.read(path.join(this.metadataDir, URL_MAP_FILE));
+    if (saved?.layout === this.layout) {
+      this.urlMap.restore(saved);
+      return;
     }
-    const html = result.body.toString('utf-8');
-    const hash = this.hashContent(html);
-    const lastModified = result.headers['last-modified'] || null;
-    
-    return {
-      url,
-      html,
-      hash,
-      lastModified,
-      links: this.extractInternalLinks(html, url),
-      assets: this.extractAssets(html, url),
-      inlineStyles: this.extractInlineStyles(html),
-      inlineScripts: this.extractInlineScripts(html)
-    };
+
+    const cache = this.cache;
+    const pageKeys = Object.keys(cache).filter(key => key !== 'assets');
+    if (pageKeys.length === 0) return;
+
+    const previous = new UrlMap(saved?.layout || 'flat');
+    if (saved) previous.restore(saved);
+    const moves = new Map(); // old repo path -> new repo path
+    const slug = file => file.slice('html/'.length, -'.html'.length);
+    for (const key of pageKeys) {
+      const from = previous.pageFile(key);
+      const to = this.urlMap.pageFile(key);
+      moves.set(from, to);
+      const rendered = this.renderManifest[key];
+      if (rendered) {
+        rendered.file = `html/${slug(to)}.rendered.html`;
+        moves.set(`html/${slug(from)}.rendered.html`, rendered.file);
+      }
+      for (const viewport of Object.keys(VIEWPORTS)) {
+        moves.set(`screenshots/${slug(from)}-${viewport}.png`, `screenshots/${slug(to)}-${viewport}.png`);
+      }
+    }
+    for (const [url, entry] of Object.entries(cache.assets || {})) {
+      const from = entry.file || await this.legacyAssetFile(url);
+      const type = from?.split('/')[0];
+      if (type !== 'css' && type !== 'js') continue;
+      const to = this.urlMap.assetFile(url, type);
+      moves.set(from, to);
+      entry.file = to;
+    }
+
+    // Two passes, so a file can move to a name another file is moving away from
+    const staged = [];
+    for (const [from, to] of moves) {
+      if (from === to || !(await this.fileExists(path.join(this.outputDir, from)))) continue;
+      const temp = `${from}.migrating`;
+      await fs.rename(path.join(this.outputDir, from), path.join(this.outputDir, temp));
+      staged.push([temp, to]);
+    }
+    for (const [temp, to] of staged) {
+      await fs.mkdir(path.dirname(path.join(this.outputDir, to)), { recursive: true });
+      await fs.rename(path.join(this.outputDir, temp), path.join(this.outputDir, to));
+    }
+
+    // Re-point references in every page and stylesheet, moved or not
+    if (staged.length > 0) {
+      const oldPath = new Map([...moves].map(([from, to]) => [to, from]));
+      const files = new Set([...moves.values()].filter(f => /\.(html|css)$/.test(f)));
+      Object.values(this.inlineManifest).forEach(entry => entry.css.forEach(f => files.add(`css/${f}`)));
+      for (const file of files) {
+        const filepath = path.join(this.outputDir, file);
+        const content = await fs.readFile(filepath, 'utf-8').catch(() => null);
+        if (content === null) continue;
+        const type = file.endsWith('.html') ? 'html' : 'css';
+        const rewritten = mapReferences(content, value => this.relocateReference(value, oldPath.get(file) || file, file, moves), type);
+        if (rewritten !== content) await fs.writeFile(filepath, rewritten);
+      }
+      console.log(`📦 Moved ${staged.length} files to the "${this.layout}" layout (see metadata/${URL_MAP_FILE})`);
+    }
+  }
+
+  /**
+   * css/ or js/ file of a stylesheet or script cached before entries recorded
+   * their file (named like the flat layout), or null if neither exists
+   */
+  async legacyAssetFile(url) {
+    for (const type of ['css', 'js']) {
+      const file = `${type}/${urlToFilename(url, `.${type}`)}`;
+      if (await this.fileExists(path.join(this.outputDir, file))) return file;
+    }
+    return null;
   }
 
   /**
-   * Fetch asset (CSS or JS) - returns content or null
+   * Re-point a relative mirror reference written for a file at fromFile to
+   * the same target (after moves) as seen from toFile
    */
-  async fetchAsset(assetUrl) {
+  relocateReference(value, fromFile, toFile, moves) {
+    const trimmed = value.trim();
+    if (!trimmed || /^(?:#|\/|[a-z][a-z0-9+.-]*:)/i.test(trimmed)) return value;
+    const [, refPath, suffix] = trimmed.match(/^([^?#]*)(.*)$/);
+    let target;
     try {
-      const result = await this.fetchUrl(assetUrl);
-      if (result.statusCode !== 200) return null;
-      return {
-        url: assetUrl,
-        content: result.body.toString('utf-8'),
-        size: result.body.length
-      };
+      target = path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), decodeURI(refPath)));
     } catch {
-      return null;
+      return value;
     }
+    if (!moves.has(target) && fromFile === toFile) return value;
+    target = moves.get(target) || target;
+    const relative = path.posix.relative(path.posix.dirname(toFile), target) || path.posix.basename(target);
+    return encodeURI(relative) + suffix;
   }
 
   /**
-   * Save HTML file
+   * Delete data/*.json files no rendered page references. Returns the count removed.
    */
-  async saveHtml(filename, content) {
-    const dir = path.join(OUTPUT_DIR, 'html');
-    await fs.mkdir(dir, { recursive: true });
-    const filepath = path.join(dir, filename);
-    await fs.writeFile(filepath, content);
-    this.filesUpdated++;
+  async pruneRenderData() {
+    const referenced = new Set();
+    Object.values(this.renderManifest).forEach(entry => entry.data.forEach(d => referenced.add(d.file)));
+    let files = [];
+    try {
+      files = await fs.readdir(path.join(this.outputDir, 'data'));
+    } catch {}
+    let removed = 0;
+    for (const file of files) {
+      if (!file.endsWith('.json') || referenced.has(`data/${file}`)) continue;
+      await fs.unlink(path.join(this.outputDir, 'data', file));
+      removed++;
+    }
+    return removed;
   }
 
   /**
-   * Save CSS/JS file
+   * Human-readable byte count for the performance report
    */
-  async saveAsset(filename, content, subdir) {
-    const dir = path.join(OUTPUT_DIR, subdir);
-    await fs.mkdir(dir, { recursive: true });
-    const filepath = path.join(dir, filename);
-    await fs.writeFile(filepath, content);
-    this.filesUpdated++;
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
   }
 
   /**
@@ -402,160 +1842,258 @@ class IncrementalScraper {
     const totalStart = Date.now();
     
     console.log('⚡ Intelligent Incremental Scraper Starting...');
-    console.log(`Site: ${this.siteUrl}`);
+    console.log(`Site: ${this.siteName ? `${this.siteName} (${this.siteUrl})` : this.siteUrl}`);
     
+    // --full re-fetches everything but still needs the previous cache to
+    // know which files the mirror holds and which pages went away
+    const hasCache = await this.loadCache();
     if (this.fullScrape) {
       console.log('📦 Full scrape mode (--full)');
     } else {
-      const hasCache = await this.loadCache();
       console.log(hasCache ? '📦 Using cache for incremental sync' : '📦 No cache found - full scrape');
     }
+    await this.loadLinkGraph();
+    await this.loadInlineManifest();
+    await this.loadRenderManifest();
+    await this.loadUrlMap();
 
     // Ensure output directories exist
-    await fs.mkdir(path.join(OUTPUT_DIR, 'html'), { recursive: true });
-    await fs.mkdir(path.join(OUTPUT_DIR, 'css'), { recursive: true });
-    await fs.mkdir(path.join(OUTPUT_DIR, 'js'), { recursive: true });
-    await fs.mkdir(METADATA_DIR, { recursive: true });
+    await fs.mkdir(path.join(this.outputDir, 'html'), { recursive: true });
+    await fs.mkdir(path.join(this.outputDir, 'css'), { recursive: true });
+    await fs.mkdir(path.join(this.outputDir, 'js'), { recursive: true });
+    await fs.mkdir(this.metadataDir, { recursive: true });
 
-    // Step 1: Get homepage links (fetch or use cache)
-    const homepageStart = Date.now();
-    let homepage;
-    const homepageCacheKey = this.normalizeCacheKey(this.siteUrl);
-    const cachedHomepage = !this.fullScrape && this.cache[homepageCacheKey];
-    const cachedLinks = cachedHomepage?.links;
-
-    // Quick HEAD check for homepage when we have cached links
-    let homepageNeedsFetch = true;
-    if (cachedLinks && Array.isArray(cachedLinks) && cachedLinks.length > 0) {
-      const lastModified = await this.getLastModified(this.siteUrl);
-      if (lastModified === cachedHomepage.lastModified) {
-        homepageNeedsFetch = false;
+    // Step 1-3: Crawl the site breadth-first, fetching changed pages as we go
+    const crawlStart = Date.now();
+    await this.loadRobots();
+    let crawlResult = null;
+    try {
+      if (this.targets.length > 0) {
+        crawlResult = await this.syncTargets(this.targets);
+        if (crawlResult) {
+          console.log(`✓ Targeted sync: ${this.targets.join(', ')}`);
+        } else {
+          console.warn('⚠ Could not resolve every target to a known page - running a full incremental sync');
+        }
       }
-    }
-
-    if (homepageNeedsFetch) {
-      try {
-        homepage = await this.fetchPage(this.siteUrl);
-        this.timings.homepage = Date.now() - homepageStart;
-        console.log(`✓ Homepage ${this.fullScrape ? 'fetched' : 'changed'} (${this.timings.homepage}ms)`);
-      } catch (err) {
-        console.error('✗ Failed to fetch homepage:', err.message);
-        process.exit(1);
+      if (!crawlResult && this.discovery === 'sitemap') {
+        crawlResult = await this.discoverFromSitemap();
+        if (crawlResult) {
+          console.log(`✓ Sitemap lists ${crawlResult.pages.length} pages`);
+        } else {
+          console.warn('⚠ No sitemap.xml found - falling back to crawl');
+        }
       }
-    } else {
-      this.timings.homepage = Date.now() - homepageStart;
-      console.log(`✓ Homepage unchanged, using cache (${this.timings.homepage}ms)`);
-      // Use cached links - create minimal homepage object for link list
-      homepage = { links: cachedLinks };
+      if (!crawlResult) crawlResult = await this.crawl();
+    } catch (err) {
+      throw new Error(`Failed to fetch homepage: ${err.message}`);
     }
-
-    // Build full link list (homepage + internal links)
-    const allLinks = [this.siteUrl];
-    const baseOrigin = new URL(this.siteUrl).origin;
-    for (const link of homepage.links || []) {
-      if (!allLinks.includes(link) && link.startsWith(baseOrigin)) {
-        allLinks.push(link);
-      }
+    const { pages: allPages, pageResults } = crawlResult;
+    this.timings.crawl = Date.now() - crawlStart;
+    console.log(`✓ Discovered ${allPages.length} internal pages to depth ${crawlResult.depth} (${this.timings.crawl}ms)`);
+    if (crawlResult.truncated) {
+      console.warn(`⚠ Crawl stopped at max pages (${this.maxPages}) - raise --max-pages to sync the rest`);
     }
-    this.timings.linkExtraction = 0;
-    console.log(`✓ Found ${allLinks.length} internal links`);
-
-    // Step 2: Determine which pages to scrape (homepage already counted above if skipped)
-    const pagesToScrape = await this.determinePagesToScrape(allLinks);
-    this.pagesScraped = pagesToScrape.length;
-    // Recalculate skipped: total - scraped (pagesSkipped already incremented for homepage if cached)
-    this.pagesSkipped = allLinks.length - pagesToScrape.length;
 
     console.log('\n📊 Incremental Analysis:');
-    console.log(`   Total pages: ${allLinks.length}`);
-    console.log(`   Need scraping: ${pagesToScrape.length}`);
-    console.log(`   Skipping: ${this.pagesSkipped}`);
+    console.log(`   Total pages: ${allPages.length}`);
+    console.log(`   Need scraping: ${this.pagesScraped}`);
+    console.log(`   Skipping: ${this.pagesSkipped} (${this.pagesNotModified} revalidated as not modified)`);
+    if (this.excludedPages.size > 0) console.log(`   Excluded by include/exclude rules: ${this.excludedPages.size}`);
+    if (this.protectedPages.size > 0) console.log(`   Password-protected (401): ${this.protectedPages.size}`);
+    if (this.disallowedPages.size > 0) console.log(`   Disallowed by robots.txt: ${this.disallowedPages.size}`);
     if (this.pagesSkipped > 0) {
       const savedSec = Math.round((this.pagesSkipped * 2) / 1000);
       console.log(`   Time saved: ~${savedSec}s`);
     }
-
-    // Step 3: Fetch changed pages
-    const fetchStart = Date.now();
-    const pageResults = [];
-    for (const url of pagesToScrape) {
-      try {
-        const result = await this.fetchPage(url);
-        pageResults.push(result);
-      } catch (err) {
-        console.warn(`⚠ Failed to fetch ${url}:`, err.message);
-      }
-    }
-    this.timings.changedPages = Date.now() - fetchStart;
-    console.log(`\n✓ Fetched ${pageResults.length} changed pages (${this.timings.changedPages}ms)`);
+    console.log(`\n✓ Fetched ${pageResults.length} changed pages (${this.timings.changedPages || 0}ms)`);
 
     // Collect all unique assets from scraped pages
     const assetUrls = new Set();
-    const allInlineStyles = [];
-    const allInlineScripts = [];
+    const mediaUrls = new Set();
     
     for (const page of pageResults) {
       page.assets.css.forEach(u => assetUrls.add(JSON.stringify({ url: u, type: 'css' })));
       page.assets.js.forEach(u => assetUrls.add(JSON.stringify({ url: u, type: 'js' })));
-      page.inlineStyles.forEach(s => allInlineStyles.push(s));
-      page.inlineScripts.forEach(s => allInlineScripts.push(s));
+      page.assets.media.forEach(u => mediaUrls.add(u));
     }
 
-    // Step 4: Fetch assets in parallel (5 concurrent)
+    // Step 4: Fetch assets in parallel (request pool limits concurrency)
     const assetStart = Date.now();
     const assetsToFetch = Array.from(assetUrls).map(s => JSON.parse(s));
-    const assetResults = [];
-    const chunks = this.chunkArray(assetsToFetch, CONCURRENT_ASSET_LIMIT);
-    
-    for (const chunk of chunks) {
-      const results = await Promise.all(chunk.map(a => this.fetchAsset(a.url)));
-      results.forEach((r, i) => {
-        if (r) assetResults.push({ ...chunk[i], ...r });
-      });
+    const revalidated = await this.fetchAssets(assetsToFetch);
+    const assetResults = revalidated.filter(asset => !asset.notModified);
+    const unchangedAssets = revalidated.filter(asset => asset.notModified);
+    unchangedAssets.forEach(asset => this.touchCacheEntry(this.cache.assets[asset.url], asset));
+
+    // Fonts and background images referenced from stylesheets (unchanged
+    // stylesheets reuse the references stored in the cache)
+    for (const asset of assetResults) {
+      if (asset.type === 'css') this.extractCssUrls(asset.content, asset.url).forEach(u => mediaUrls.add(u));
     }
+    for (const asset of unchangedAssets) {
+      (this.cache.assets[asset.url].refs || []).forEach(u => mediaUrls.add(u));
+    }
+    const mediaList = Array.from(mediaUrls);
+    const cachedFlags = await Promise.all(mediaList.map(url => this.isMediaCached(url)));
+    const mediaToFetch = mediaList.filter((url, i) => !cachedFlags[i]).map(url => ({ url, type: 'media' }));
+    const mediaResults = await this.fetchAssets(mediaToFetch);
     this.timings.assets = Date.now() - assetStart;
+    console.log(`✓ Stylesheets/scripts: ${assetResults.length} changed, ${unchangedAssets.length} not modified`);
+    console.log(`✓ Media: ${mediaResults.length} downloaded, ${mediaUrls.size - mediaToFetch.length} cached`);
     console.log(`✓ Assets processed (${this.timings.assets}ms)`);
 
     // Step 5: Save files
     const saveStart = Date.now();
     this.filesUpdated = 0;
 
-    // Save HTML pages
+    // Save HTML pages, keeping the previous copies for the change report
+    const sources = new Map(); // saved file -> source URL, for link rewriting
+    const previousPages = new Map();
+    const knownAssets = new Set(Object.keys(this.cache.assets));
+    const knownPages = new Set(Object.keys(this.cache).filter(key => key !== 'assets'));
     for (const page of pageResults) {
-      const filename = this.urlToFilename(page.url, '.html');
-      await this.saveHtml(filename, page.html);
+      const file = this.pageFile(page.url);
+      previousPages.set(page.url, {
+        html: await fs.readFile(path.join(this.outputDir, file), 'utf-8').catch(() => null),
+        assets: this.cache[this.normalizeCacheKey(page.url)]?.assets || null
+      });
+      await this.saveHtml(file.slice('html/'.length), await this.prettify(page.html, 'html'));
+      sources.set(file, page.url);
       
       const cacheKey = this.normalizeCacheKey(page.url);
       this.cache[cacheKey] = {
         hash: page.hash,
+        etag: page.etag,
         lastModified: page.lastModified,
         timestamp: new Date().toISOString(),
-        links: page.links // Cache links for homepage to avoid re-fetch when unchanged
+        sitemapLastmod: this.sitemapLastmod.get(cacheKey) || null,
+        links: page.links, // Cached so unchanged pages can extend the crawl without a re-fetch
+        assets: [...page.assets.css, ...page.assets.js, ...page.assets.media]
       };
     }
 
     // Save external assets
     for (const asset of assetResults) {
-      const ext = asset.type === 'css' ? '.css' : '.js';
-      const filename = this.urlToFilename(asset.url, ext);
-      await this.saveAsset(filename, asset.content, asset.type);
+      const file = this.urlMap.assetFile(asset.url, asset.type);
+      await this.saveAsset(file.slice(asset.type.length + 1), await this.prettify(asset.content, asset.type), asset.type);
+      sources.set(file, asset.url);
       
       this.cache.assets[asset.url] = {
         timestamp: new Date().toISOString(),
-        size: asset.size
+        size: asset.size,
+        hash: asset.hash,
+        etag: asset.etag,
+        lastModified: asset.lastModified,
+        file,
+        refs: asset.type === 'css' ? this.extractCssUrls(asset.content, asset.url) : undefined
+      };
+    }
+
+    // Save binary media (raw Buffers, deduplicated by content hash)
+    for (const asset of mediaResults) {
+      const file = await this.saveBinaryAsset(asset);
+      this.cache.assets[asset.url] = {
+        timestamp: new Date().toISOString(),
+        size: asset.size,
+        hash: asset.hash,
+        etag: asset.etag,
+        lastModified: asset.lastModified,
+        file
       };
     }
 
-    // Save inline styles
-    for (let i = 0; i < allInlineStyles.length; i++) {
-      await this.saveAsset(`inline-${i}.css`, allInlineStyles[i], 'css');
-      this.inlineStyleCount++;
+    // Save inline styles and scripts, named per page
+    for (const page of pageResults) {
+      const entry = await this.saveInlineBlocks(page);
+      entry.css.forEach(f => sources.set(`css/${f}`, page.url));
+      this.inlineManifest[this.normalizeCacheKey(page.url)] = entry;
+    }
+
+    // Headless browser: rendered DOM and XHR/fetch JSON (--render),
+    // screenshots diffed against the previous sync (--screenshots)
+    let visual = null;
+    if (this.renderer && pageResults.length > 0) {
+      let launched = false;
+      try {
+        await this.renderer.launch();
+        launched = true;
+      } catch (err) {
+        // Asked for but impossible: a failure (fatal with --strict), not a quiet fallback
+        console.error('✗ Rendering and screenshots skipped:', err.message);
+        this.recordFailure(this.siteUrl, 'browser', { error: err.message });
+      }
+
+      try {
+        if (launched && this.render) {
+          const renderStart = Date.now();
+          const rendered = await this.renderPages(pageResults);
+          this.timings.render = Date.now() - renderStart;
+          rendered.forEach((url, file) => sources.set(file, url));
+          const captured = [...rendered.values()].reduce((n, url) => n + this.renderManifest[this.normalizeCacheKey(url)].data.length, 0);
+          console.log(`✓ Rendered ${rendered.size} pages, captured ${captured} JSON responses (${this.timings.render}ms)`);
+        }
+        if (launched && this.screenshots) {
+          const screenshotStart = Date.now();
+          visual = await this.screenshotPages(pageResults);
+          this.timings.screenshots = Date.now() - screenshotStart;
+          console.log(`✓ Took ${visual.captured} screenshots (${this.timings.screenshots}ms)`);
+          if (visual.changes.length > 0) {
+            console.warn(`⚠ ${visual.changes.length} screenshots changed by more than ${this.screenshotThreshold}% - see screenshots/diff/`);
+          }
+        }
+      } finally {
+        await this.renderer.close();
+      }
+    }
+
+    // Drop unpublished pages and unreferenced assets, then orphaned inline files
+    const fetchedKeys = new Set(pageResults.map(page => this.normalizeCacheKey(page.url)));
+    const removed = await this.reconcile(crawlResult, fetchedKeys);
+    if (removed.pages.length > 0 || removed.assets.length > 0) {
+      console.log(`✓ Removed ${removed.pages.length} deleted pages and ${removed.assets.length} unused assets`);
     }
+    const orphans = await this.pruneOrphanedFiles();
+    if (orphans > 0) console.log(`✓ Removed ${orphans} orphaned css/js files`);
+    const staleData = await this.pruneRenderData();
+    if (staleData > 0) console.log(`✓ Removed ${staleData} unused rendered data files`);
 
-    // Save inline scripts
-    for (let i = 0; i < allInlineScripts.length; i++) {
-      await this.saveAsset(`inline-${i}.js`, allInlineScripts[i], 'js');
-      this.inlineScriptCount++;
+    // Point pages, stylesheets, scripts and media at their local copies
+    const mirroredNew = pageResults.some(page => !knownPages.has(this.normalizeCacheKey(page.url))) ||
+      [...assetResults, ...mediaResults].some(asset => !knownAssets.has(asset.url));
+    const rewritten = await this.rewriteReferences(sources, mirroredNew);
+    console.log(`✓ Rewrote references in ${rewritten} files`);
+
+    // What changed, compared with the copies the previous sync saved
+    const report = new ChangeReport(this.siteUrl);
+    for (const page of pageResults) {
+      const previous = previousPages.get(page.url);
+      const html = await fs.readFile(path.join(this.outputDir, this.pageFile(page.url)), 'utf-8');
+      const assets = [...page.assets.css, ...page.assets.js, ...page.assets.media];
+      report.addPage(page.url, previous.html, html, previous.assets, assets);
+    }
+    removed.pages.forEach(url => report.removePage(url));
+    [...assetResults, ...mediaResults].filter(a => !knownAssets.has(a.url)).forEach(a => report.addAsset(a.url));
+    removed.assets.forEach(url => report.removeAsset(url));
+    if (visual) visual.changes.forEach(change => report.addVisualChange(change));
+
+    // SEO index: re-extract fetched pages, keep the rest from the last sync
+    const seo = new SeoIndex(this.siteUrl);
+    await seo.load(path.join(this.metadataDir, SEO_FILE));
+    pageResults.forEach(page => seo.update(this.normalizeCacheKey(page.url), page.url, page.html));
+    seo.retain(Object.keys(this.cache).filter(key => key !== 'assets'));
+
+    // Broken links and missing assets (--check-links)
+    let linkResult = null;
+    if (this.checkLinks) {
+      const linkStart = Date.now();
+      linkResult = await this.checkPageLinks(pageResults);
+      this.timings.linkCheck = Date.now() - linkStart;
+      const { checked, broken, newlyBroken, fixed } = linkResult;
+      console.log(`✓ Checked ${checked.pages} links, ${checked.anchors} anchors, ${checked.assets} assets, ${checked.external} external (${this.timings.linkCheck}ms)`);
+      if (broken.length > 0) {
+        console.warn(`⚠ ${broken.length} broken (${newlyBroken.length} new, ${fixed.length} fixed) - see metadata/link-report.json`);
+      }
     }
 
     this.timings.saveFiles = Date.now() - saveStart;
@@ -564,60 +2102,95 @@ class IncrementalScraper {
     // Step 6: Update metadata
     const metaStart = Date.now();
     await this.saveCache();
+    await this.saveLinkGraph(crawlResult);
+    await fs.writeFile(path.join(this.metadataDir, INLINE_MANIFEST_FILE), JSON.stringify(this.inlineManifest, null, 2));
+    await fs.writeFile(path.join(this.metadataDir, URL_MAP_FILE), JSON.stringify(this.urlMap.toJSON(this.cache), null, 2));
+    if (this.renderer || Object.keys(this.renderManifest).length > 0) {
+      await fs.writeFile(path.join(this.metadataDir, RENDER_MANIFEST_FILE), JSON.stringify(this.renderManifest, null, 2));
+    }
+    await report.write(this.metadataDir);
+    const seoIssues = await seo.write(path.join(this.metadataDir, SEO_FILE), crawlResult.graph);
+    if (seoIssues.length > 0) console.warn(`⚠ ${seoIssues.length} SEO issues - see metadata/seo.json`);
 
     const lastSync = {
       timestamp: new Date().toISOString(),
+      site: this.siteName || undefined,
       siteUrl: this.siteUrl,
       pagesScraped: this.pagesScraped,
       pagesSkipped: this.pagesSkipped,
-      totalPages: allLinks.length,
+      pagesNotModified: this.pagesNotModified,
+      pagesExcluded: this.excludedPages.size,
+      pagesProtected: this.protectedPages.size,
+      totalPages: allPages.length,
       filesUpdated: this.filesUpdated,
       fullScrape: this.fullScrape,
+      removed: this.removed,
+      changes: report.summary(),
+      seoIssues: seoIssues.length,
+      collisions: this.urlMap.collisions.length > 0 ? this.urlMap.collisions : undefined,
+      visualChanges: visual ? report.visual : undefined,
+      brokenLinks: linkResult ? { broken: linkResult.broken.length, new: linkResult.newlyBroken.length } : undefined,
+      failures: this.failures,
       timings: this.timings
     };
-    await fs.writeFile(LAST_SYNC_FILE, JSON.stringify(lastSync, null, 2));
+    await fs.writeFile(path.join(this.metadataDir, LAST_SYNC_FILE), JSON.stringify(lastSync, null, 2));
 
     // Append to sync history
     let history = [];
     try {
-      const histData = await fs.readFile(SYNC_HISTORY_FILE, 'utf-8');
+      const histData = await fs.readFile(path.join(this.metadataDir, SYNC_HISTORY_FILE), 'utf-8');
       history = JSON.parse(histData);
     } catch {}
     history.unshift(lastSync);
     history = history.slice(0, SYNC_HISTORY_MAX);
-    await fs.writeFile(SYNC_HISTORY_FILE, JSON.stringify(history, null, 2));
+    await fs.writeFile(path.join(this.metadataDir, SYNC_HISTORY_FILE), JSON.stringify(history, null, 2));
 
     this.timings.metadata = Date.now() - metaStart;
     console.log(`✓ Metadata updated (${this.timings.metadata}ms)`);
 
     // Performance report
     const totalTime = Date.now() - totalStart;
-    const efficiency = allLinks.length > 0 
-      ? Math.round((this.pagesSkipped / allLinks.length) * 100) 
+    const efficiency = allPages.length > 0 
+      ? Math.round((this.pagesSkipped / allPages.length) * 100) 
       : 0;
 
     console.log('\n═══════════════════════════════════════════════════');
     console.log('🎉 INCREMENTAL SYNC COMPLETE!');
     console.log('\n📊 Performance Report:');
     console.log('──────────────────────────────────────────────────');
-    console.log(`Homepage check:     ${(this.timings.homepage || 0)}ms`);
-    console.log(`Link extraction:    ${(this.timings.linkExtraction || 0)}ms`);
+    console.log(`Crawl:              ${(this.timings.crawl || 0)}ms`);
     console.log(`Change analysis:    ${(this.timings.changeAnalysis || 0)}ms`);
     console.log(`Changed pages:      ${(this.timings.changedPages || 0)}ms`);
     console.log(`Assets:             ${(this.timings.assets || 0)}ms`);
+    if (this.timings.render !== undefined) console.log(`Render:             ${this.timings.render}ms`);
+    if (this.timings.screenshots !== undefined) console.log(`Screenshots:        ${this.timings.screenshots}ms`);
+    if (this.timings.linkCheck !== undefined) console.log(`Link check:         ${this.timings.linkCheck}ms`);
     console.log(`Save files:         ${(this.timings.saveFiles || 0)}ms`);
     console.log(`Metadata:           ${(this.timings.metadata || 0)}ms`);
+    console.log(`Transferred:        ${this.formatBytes(this.timings.bytesTransferred)} (${this.formatBytes(this.timings.bytesDecoded)} decoded)`);
     console.log('──────────────────────────────────────────────────');
     console.log(`TOTAL TIME:         ${totalTime}ms (${(totalTime / 1000).toFixed(2)}s)`);
     console.log('──────────────────────────────────────────────────');
-    console.log(`Total pages:        ${allLinks.length}`);
+    console.log(`Total pages:        ${allPages.length}`);
     console.log(`Changed:            ${this.pagesScraped}`);
     console.log(`Skipped:            ${this.pagesSkipped}`);
     console.log(`Efficiency:         ${efficiency}% faster`);
     console.log('═══════════════════════════════════════════════════\n');
 
+    const criticalFailures = this.failures.filter(f => f.critical);
+    if (this.failures.length > 0) {
+      console.warn(`⚠ ${this.failures.length} permanent failures (${criticalFailures.length} critical) - see failures in last-sync.json`);
+      this.failures.forEach(f => {
+        console.warn(`   ${f.critical ? '✗' : '⚠'} [${f.type}] ${f.url} - ${f.error} (${f.attempts} attempts)`);
+      });
+    }
+    if (this.strict && criticalFailures.length > 0) {
+      console.error('✗ Strict mode: critical pages or assets failed - not reporting success');
+    }
+
     return {
-      success: true,
+      success: !(this.strict && criticalFailures.length > 0),
+      failures: this.failures.length,
       totalTime,
       pagesScraped: this.pagesScraped,
       pagesSkipped: this.pagesSkipped,
@@ -649,26 +2222,186 @@ function loadEnv() {
   }
 }
 
+/**
+ * Read a --name=value CLI flag, falling back when absent
+ */
+function getArg(name, fallback = null) {
+  const prefix = `--${name}=`;
+  const arg = process.argv.find(a => a.startsWith(prefix));
+  return arg ? arg.slice(prefix.length) : fallback;
+}
+
+/**
+ * Load ignore rules: a JSON array (added to the defaults) or
+ * { "defaults": false, "rules": [...] } to replace them. Missing file = defaults.
+ */
+function loadIgnoreRules(file = IGNORE_RULES_FILE) {
+  const fsSync = require('fs');
+  if (!fsSync.existsSync(file)) return DEFAULT_IGNORE_RULES;
+  try {
+    const config = JSON.parse(fsSync.readFileSync(file, 'utf-8'));
+    if (Array.isArray(config)) return [...DEFAULT_IGNORE_RULES, ...config];
+    return [...(config.defaults === false ? [] : DEFAULT_IGNORE_RULES), ...(config.rules || [])];
+  } catch (err) {
+    console.warn(`⚠ Could not load ${file}:`, err.message);
+    return DEFAULT_IGNORE_RULES;
+  }
+}
+
+/**
+ * Load webflow-sync.config.json: { "defaults": {...}, "sites": [...] }. Each
+ * site needs a name and url and inherits "defaults"; outputDir is relative
+ * to the project root and defaults to webflow-repo/<name>. Returns null when
+ * there is no config file (single-site mode).
+ */
+function loadSiteConfig(file = SITE_CONFIG_FILE) {
+  const fsSync = require('fs');
+  if (!fsSync.existsSync(file)) return null;
+  const config = JSON.parse(fsSync.readFileSync(file, 'utf-8'));
+  const label = path.basename(file);
+  if (!Array.isArray(config.sites) || config.sites.length === 0) {
+    throw new Error(`${label} must list at least one site under "sites"`);
+  }
+
+  const names = new Set();
+  const outputDirs = new Set();
+  return config.sites.map(entry => {
+    const site = { ...config.defaults, ...entry };
+    if (!/^[\w-]+$/.test(site.name || '') || !site.url) {
+      throw new Error(`Every site in ${label} needs a url and a name made of letters, digits, - or _`);
+    }
+    site.outputDir = path.resolve(PROJECT_ROOT, site.outputDir || path.join('webflow-repo', site.name));
+    if (names.has(site.name)) throw new Error(`Duplicate site name "${site.name}" in ${label}`);
+    if (outputDirs.has(site.outputDir)) throw new Error(`Sites in ${label} share the output dir ${site.outputDir}`);
+    names.add(site.name);
+    outputDirs.add(site.outputDir);
+    return site;
+  });
+}
+
+/**
+ * Sites to sync: those named in names or whose Webflow siteId is in siteIds,
+ * or every site when neither is given
+ */
+function selectSites(sites, { names = [], siteIds = [] } = {}) {
+  if (names.length === 0 && siteIds.length === 0) return sites;
+  const unknown = names.filter(name => !sites.some(site => site.name === name));
+  if (unknown.length > 0) throw new Error(`Unknown site: ${unknown.join(', ')}`);
+  const unmatched = siteIds.filter(id => !sites.some(site => site.siteId === id));
+  if (unmatched.length > 0) console.warn(`⚠ No configured site has Webflow site ID ${unmatched.join(', ')}`);
+
+  const selected = sites.filter(site => names.includes(site.name) || siteIds.includes(site.siteId));
+  if (selected.length === 0) throw new Error('None of the requested sites is configured');
+  return selected;
+}
+
+/**
+ * Sites for this run. With a config file, --site / SYNC_SITE (names) and
+ * --site-id / SYNC_SITE_ID (Webflow site IDs, e.g. from the webhook) pick
+ * sites; without one, the single WEBFLOW_SITE_URL site writes to webflow-repo/.
+ */
+function resolveSites() {
+  const configFile = getArg('config', process.env.SYNC_CONFIG);
+  const sites = loadSiteConfig(configFile ? path.resolve(configFile) : undefined);
+  if (!sites) {
+    return [{ name: null, url: process.env.WEBFLOW_SITE_URL, siteId: process.env.WEBFLOW_SITE_ID, outputDir: OUTPUT_DIR }];
+  }
+  const list = value => (value || '').split(',').map(v => v.trim()).filter(Boolean);
+  return selectSites(sites, {
+    names: list(getArg('site', process.env.SYNC_SITE)),
+    siteIds: list(getArg('site-id', process.env.SYNC_SITE_ID))
+  });
+}
+
+/**
+ * Scraper options for a site: CLI flags win over SYNC_* env vars, which win
+ * over the site's entry in the config file
+ */
+function scraperOptions(site) {
+  const rps = parseFloat(getArg('rps', process.env.SYNC_RPS));
+  const retries = parseInt(getArg('retries', process.env.SYNC_RETRIES), 10);
+  const screenshotThreshold = parseFloat(getArg('screenshot-threshold', process.env.SYNC_SCREENSHOT_THRESHOLD));
+  const flag = (name, envName) => process.argv.includes(`--${name}`) || process.env[envName] === 'true';
+  const list = value => (value ? value.split(',').map(v => v.trim()).filter(Boolean) : null);
+  const siteHostLimits = typeof site.hostLimits === 'string' ? parseHostLimits(site.hostLimits) : site.hostLimits;
+  const ignoreRulesFile = getArg('ignore-rules', process.env.SYNC_IGNORE_RULES) ||
+    (site.ignoreRules ? path.resolve(PROJECT_ROOT, site.ignoreRules) : undefined);
+
+  return {
+    siteName: site.name,
+    outputDir: site.outputDir,
+    include: list(getArg('include', process.env.SYNC_INCLUDE)) || site.include,
+    exclude: list(getArg('exclude', process.env.SYNC_EXCLUDE)) || site.exclude,
+    includeAssets: list(getArg('include-assets', process.env.SYNC_INCLUDE_ASSETS)) || site.includeAssets,
+    excludeAssets: list(getArg('exclude-assets', process.env.SYNC_EXCLUDE_ASSETS)) || site.excludeAssets,
+    defaultExcludes: site.defaultExcludes,
+    policies: site.policies,
+    maxAge: getArg('max-age', process.env.SYNC_MAX_AGE) || site.maxAge,
+    maxDepth: parseInt(getArg('max-depth', process.env.SYNC_MAX_DEPTH), 10) || site.maxDepth,
+    maxPages: parseInt(getArg('max-pages', process.env.SYNC_MAX_PAGES), 10) || site.maxPages,
+    discovery: getArg('discovery', process.env.SYNC_DISCOVERY) || site.discovery,
+    vendorCdn: flag('vendor-cdn', 'SYNC_VENDOR_CDN') || site.vendorCdn,
+    reconcile: process.argv.includes('--reconcile'),
+    targets: (getArg('urls', process.env.SYNC_TARGETS) || '').split(',').map(t => t.trim()).filter(Boolean),
+    concurrency: parseInt(getArg('concurrency', process.env.SYNC_CONCURRENCY), 10) || site.concurrency,
+    perHost: parseInt(getArg('per-host', process.env.SYNC_PER_HOST), 10) || site.perHost,
+    hostLimits: { ...siteHostLimits, ...parseHostLimits(getArg('host-limits', process.env.SYNC_HOST_LIMITS)) },
+    requestsPerSecond: Number.isNaN(rps) ? site.rps : rps,
+    pretty: getArg('pretty', process.env.SYNC_PRETTY) || (process.argv.includes('--pretty') ? 'builtin' : null) || site.pretty,
+    ignoreRules: loadIgnoreRules(ignoreRulesFile),
+    retries: Number.isNaN(retries) ? site.retries : retries,
+    retryBaseMs: parseInt(getArg('retry-delay', process.env.SYNC_RETRY_DELAY_MS), 10) || site.retryDelay,
+    strict: flag('strict', 'SYNC_STRICT') || site.strict,
+    checkLinks: flag('check-links', 'SYNC_CHECK_LINKS') || site.checkLinks,
+    checkExternal: flag('check-external', 'SYNC_CHECK_EXTERNAL') || site.checkExternal,
+    render: flag('render', 'SYNC_RENDER') || site.render,
+    screenshots: flag('screenshots', 'SYNC_SCREENSHOTS') || site.screenshots,
+    screenshotThreshold: Number.isNaN(screenshotThreshold) ? site.screenshotThreshold : screenshotThreshold,
+    renderWait: parseInt(getArg('render-wait', process.env.SYNC_RENDER_WAIT_MS), 10) || site.renderWait,
+    browserPath: getArg('browser-path', process.env.SYNC_BROWSER_PATH) || site.browserPath,
+    layout: getArg('layout', process.env.SYNC_LAYOUT) || site.layout
+  };
+}
+
 // Main entry point
 async function main() {
   loadEnv();
-  const siteUrl = process.env.WEBFLOW_SITE_URL;
-  if (!siteUrl) {
+  let sites;
+  try {
+    sites = resolveSites();
+  } catch (err) {
+    console.error('✗ Invalid site config:', err.message);
+    process.exit(1);
+  }
+  if (!sites[0].url) {
     console.error('✗ WEBFLOW_SITE_URL environment variable is required');
     console.error('  Set it in .env or: export WEBFLOW_SITE_URL=https://yoursite.webflow.io');
+    console.error('  Or list your sites in webflow-sync.config.json');
     process.exit(1);
   }
 
+  // Sites run one after another; a failing site does not stop the rest
   const fullScrape = process.argv.includes('--full');
-  const scraper = new IncrementalScraper(siteUrl, fullScrape);
-  
-  try {
-    const result = await scraper.run();
-    process.exit(result.success ? 0 : 1);
-  } catch (err) {
-    console.error('✗ Fatal error:', err.message);
-    process.exit(1);
+  let success = true;
+  for (const site of sites) {
+    if (sites.length > 1) console.log(`\n🌐 ${site.name}`);
+    try {
+      const scraper = new IncrementalScraper(site.url, fullScrape, scraperOptions(site));
+      const result = await scraper.run();
+      success = success && result.success;
+    } catch (err) {
+      console.error(`✗ Fatal error${site.name ? ` (${site.name})` : ''}:`, err.message);
+      success = false;
+    }
   }
+  process.exit(success ? 0 : 1);
+}
+
+if (require.main === module) {
+  main();
 }
 
-main();
+module.exports = {
+  IncrementalScraper, loadEnv, getArg, loadSiteConfig, selectSites, resolveSites, scraperOptions, urlToFilename,
+  PROJECT_ROOT, OUTPUT_DIR, METADATA_DIR
+};
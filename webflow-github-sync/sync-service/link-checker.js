@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+/**
+ * Broken link and missing asset checker (--check-links)
+ *
+ * Verifies every internal <a href> (including ?query and #fragment), every
+ * #id anchor against the target page's ids, every asset URL and, with
+ * --check-external, external links. Pages not re-fetched this sync keep
+ * their extracted links from the previous report, so every known page is
+ * checked each time. Writes metadata/link-report.json with the breakages
+ * that are new or fixed since the previous sync.
+ *
+ * Run directly (node sync-service/link-checker.js) it reads the report and
+ * exits non-zero when it lists new breakages - the workflow's gate.
+ */
+
+const fs = require('fs').promises;
+const { startTags } = require('./html');
+
+// Servers that refuse HEAD get a GET instead
+const HEAD_UNSUPPORTED = new Set([403, 405, 501]);
+const SKIPPED_SCHEMES = /^(?:mailto|tel|javascript|data|sms|blob):/i;
+
+class LinkChecker {
+  /**
+   * fetchUrl(url, options) runs requests (the scraper's pool and retries);
+   * normalizeKey(url) maps a URL to its page cache key
+   */
+  constructor(siteUrl, { fetchUrl, normalizeKey, checkExternal = false }) {
+    this.siteUrl = siteUrl;
+    this.origin = new URL(siteUrl).origin;
+    this.fetchUrl = fetchUrl;
+    this.normalizeKey = normalizeKey;
+    this.checkExternal = checkExternal;
+    this.pages = {};
+    this.previousBroken = [];
+    this.statusCache = new Map();
+  }
+
+  /**
+   * Load page records and breakages from the previous report
+   */
+  async load(file) {
+    try {
+      const previous = JSON.parse(await fs.readFile(file, 'utf-8'));
+      this.pages = previous.pages || {};
+      this.previousBroken = previous.broken || [];
+    } catch {
+      this.pages = {};
+      this.previousBroken = [];
+    }
+  }
+
+  /**
+   * Record a page's links (absolute, with query and fragment), asset URLs
+   * and the ids it defines
+   */
+  addPage(key, url, html, assets) {
+    const links = new Set();
+    for (const { attrs } of startTags(html, 'a')) {
+      const trimmed = (attrs.href ?? '').trim();
+      if (!trimmed || SKIPPED_SCHEMES.test(trimmed)) continue;
+      try {
+        links.add(new URL(trimmed, url).href);
+      } catch {
+        links.add(trimmed); // reported as invalid by check()
+      }
+    }
+
+    const ids = new Set();
+    for (const { attrs } of startTags(html)) {
+      if (attrs.id) ids.add(attrs.id);
+      if (attrs.name) ids.add(attrs.name);
+    }
+
+    this.pages[key] = { url, links: [...links].sort(), assets: [...new Set(assets)].sort(), ids: [...ids].sort() };
+  }
+
+  /**
+   * Keep only records for pages still in the mirror
+   */
+  retain(keys) {
+    const keep = new Set(keys);
+    Object.keys(this.pages).forEach(key => {
+      if (!keep.has(key)) delete this.pages[key];
+    });
+  }
+
+  /**
+   * HTTP status of a URL (memoized). HEAD first, GET when HEAD is refused.
+   */
+  status(url) {
+    if (!this.statusCache.has(url)) {
+      this.statusCache.set(url, (async () => {
+        try {
+          let result = await this.fetchUrl(url, { method: 'HEAD', accept: '*/*' });
+          if (HEAD_UNSUPPORTED.has(result.statusCode)) result = await this.fetchUrl(url, { accept: '*/*' });
+          return { status: result.statusCode };
+        } catch (err) {
+          return { status: null, error: err.message };
+        }
+      })());
+    }
+    return this.statusCache.get(url);
+  }
+
+  /**
+   * Check every recorded link and asset. knownPages / knownAssets are the
+   * mirror's cache keys and asset URLs - those resolve without a request.
+   */
+  async check(knownPages, knownAssets) {
+    const checks = [];
+    const stats = { pages: 0, anchors: 0, assets: 0, external: 0 };
+
+    for (const [pageKey, page] of Object.entries(this.pages)) {
+      for (const link of page.links) {
+        checks.push(this.checkLink(pageKey, link, knownPages, stats));
+      }
+      for (const asset of page.assets) {
+        stats.assets++;
+        if (knownAssets.has(asset)) continue;
+        checks.push(this.status(asset).then(result => this.toBreakage(pageKey, asset, 'asset', result)));
+      }
+    }
+
+    const broken = (await Promise.all(checks)).filter(Boolean);
+    const id = b => `${b.type}|${b.page}|${b.target}`;
+    broken.sort((a, b) => (id(a) < id(b) ? -1 : id(a) > id(b) ? 1 : 0));
+
+    const previousIds = new Set(this.previousBroken.map(id));
+    const currentIds = new Set(broken.map(id));
+    this.result = {
+      checked: stats,
+      broken,
+      newlyBroken: broken.filter(b => !previousIds.has(id(b))),
+      fixed: this.previousBroken.filter(b => !currentIds.has(id(b)))
+    };
+    return this.result;
+  }
+
+  async checkLink(pageKey, link, knownPages, stats) {
+    let url;
+    try {
+      url = new URL(link);
+    } catch {
+      return { type: 'page', page: pageKey, target: link, error: 'Invalid URL' };
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+
+    if (url.origin !== this.origin) {
+      if (!this.checkExternal) return null;
+      stats.external++;
+      url.hash = '';
+      return this.toBreakage(pageKey, link, 'external', await this.status(url.href));
+    }
+
+    stats.pages++;
+    const targetKey = this.normalizeKey(url.href);
+    if (!knownPages.has(targetKey)) {
+      const target = new URL(url.href);
+      target.hash = '';
+      const breakage = this.toBreakage(pageKey, link, 'page', await this.status(target.href));
+      if (breakage) return breakage;
+    }
+
+    // "#" and "#top" always scroll to the top of the page
+    let fragment = url.hash.slice(1);
+    try {
+      fragment = decodeURIComponent(fragment);
+    } catch {} // malformed escapes (#100%) are matched as written
+    if (!fragment || fragment.toLowerCase() === 'top') return null;
+    stats.anchors++;
+    const target = this.pages[targetKey];
+    if (target && !target.ids.includes(fragment)) {
+      return { type: 'anchor', page: pageKey, target: link, error: `No element with id "${fragment}"` };
+    }
+    return null;
+  }
+
+  toBreakage(page, target, type, result) {
+    if (result.status !== null && result.status < 400) return null;
+    return { type, page, target, status: result.status, ...(result.error ? { error: result.error } : {}) };
+  }
+
+  /**
+   * Write link-report.json (run check() first)
+   */
+  async write(file) {
+    const pages = {};
+    Object.keys(this.pages).sort().forEach(key => {
+      pages[key] = this.pages[key];
+    });
+    const report = { timestamp: new Date().toISOString(), siteUrl: this.siteUrl, ...this.result, pages };
+    await fs.writeFile(file, JSON.stringify(report, null, 2));
+  }
+}
+
+// Workflow gate: fail when the last sync of any selected site found new breakages
+async function main() {
+  const path = require('path');
+  const { loadEnv, resolveSites } = require('./incremental-scraper');
+  loadEnv();
+  let sites;
+  try {
+    sites = resolveSites();
+  } catch (err) {
+    console.error('✗ Invalid site config:', err.message);
+    process.exit(1);
+  }
+
+  let failed = false;
+  for (const site of sites) {
+    const label = site.name ? `${site.name}: ` : '';
+    let report;
+    try {
+      report = JSON.parse(await fs.readFile(path.join(site.outputDir, 'metadata', 'link-report.json'), 'utf-8'));
+    } catch {
+      console.log(`${label}No link report found - run the scraper with --check-links`);
+      continue;
+    }
+
+    const { broken = [], newlyBroken = [], fixed = [] } = report;
+    console.log(`${label}Link report: ${broken.length} broken, ${newlyBroken.length} new, ${fixed.length} fixed since the previous sync`);
+    for (const b of newlyBroken) {
+      const detail = b.error || `HTTP ${b.status}`;
+      const message = `${label}New broken ${b.type} on ${b.page}: ${b.target} (${detail})`;
+      console.log(process.env.GITHUB_ACTIONS ? `::error::${message}` : `✗ ${message}`);
+    }
+    if (newlyBroken.length > 0) failed = true;
+  }
+  if (failed) process.exit(1);
+}
+
+// Exported before main() runs: main requires the scraper, which requires this module
+module.exports = { LinkChecker };
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('✗ Link check failed:', err.message);
+    process.exit(1);
+  });
+}
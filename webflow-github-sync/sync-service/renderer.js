@@ -0,0 +1,148 @@
+/**
+ * Headless rendering (--render)
+ *
+ * Loads pages in headless Chromium, waits for the network to go idle and
+ * returns the rendered DOM - CMS filters, pageFunctions components, SplitText
+ * output and anything else JavaScript builds - plus the JSON responses the
+ * page loaded via XHR/fetch.
+ *
+ * Also takes the full-page screenshots for --screenshots (see screenshots.js).
+ *
+ * Uses Playwright, an optional dependency of the project (npm install, then
+ * npx playwright install chromium for the browser); the rest of the scraper
+ * does not need it.
+ * Pages are rendered with prefers-reduced-motion so animation libraries
+ * settle on their final state instead of a random frame.
+ */
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_CONCURRENCY = 2;
+const VIEWPORT = { width: 1440, height: 900 };
+
+class Renderer {
+  constructor(options = {}) {
+    this.executablePath = options.executablePath || null;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.waitMs = options.waitMs || 0;
+    this.browser = null;
+    this.context = null;
+  }
+
+  /**
+   * Start the browser. Throws when Playwright or its browser is missing.
+   */
+  async launch() {
+    if (this.browser) return;
+    let playwright;
+    try {
+      playwright = require('playwright');
+    } catch {
+      try {
+        playwright = require('playwright-core');
+      } catch {
+        throw new Error('Playwright is not installed (npm install playwright && npx playwright install chromium)');
+      }
+    }
+    this.browser = await playwright.chromium.launch({ executablePath: this.executablePath || undefined });
+    this.context = await this.browser.newContext({ viewport: VIEWPORT, reducedMotion: 'reduce' });
+  }
+
+  /**
+   * Open a tab, optionally at another viewport size than the default
+   */
+  async newPage(viewport = null) {
+    const page = await this.context.newPage();
+    if (viewport) await page.setViewportSize(viewport);
+    return page;
+  }
+
+  /**
+   * Load a page and wait for the network to settle (plus waitMs)
+   */
+  async load(page, url) {
+    try {
+      await page.goto(url, { waitUntil: 'networkidle', timeout: this.timeout });
+    } catch (err) {
+      // Long-polling or beacon-heavy pages never go idle - keep what has rendered
+      if (err.name !== 'TimeoutError') throw err;
+      console.warn(`⚠ ${url} did not reach network idle in ${this.timeout}ms - using the page as rendered so far`);
+    }
+    if (this.waitMs > 0) await page.waitForTimeout(this.waitMs);
+  }
+
+  /**
+   * Render one page: { url, html, data: [{ url, method, status, body }] }
+   */
+  async render(url) {
+    const page = await this.newPage();
+    const captures = [];
+    page.on('response', response => {
+      const type = response.request().resourceType();
+      if (type !== 'xhr' && type !== 'fetch') return;
+      if (!/[/+]json\b/i.test(response.headers()['content-type'] || '')) return;
+      captures.push(response.json()
+        .then(body => ({ url: response.url(), method: response.request().method(), status: response.status(), body }))
+        .catch(() => null)); // empty or invalid JSON
+    });
+
+    try {
+      await this.load(page, url);
+      const html = await page.content();
+      const data = (await Promise.all(captures)).filter(Boolean);
+      return { url, html, data };
+    } finally {
+      await page.close();
+    }
+  }
+
+  /**
+   * Full-page PNG screenshot at the given viewport
+   */
+  async screenshot(url, viewport) {
+    const page = await this.newPage(viewport);
+    try {
+      await this.load(page, url);
+      return await page.screenshot({ fullPage: true, animations: 'disabled' });
+    } finally {
+      await page.close();
+    }
+  }
+
+  /**
+   * Render pages a few at a time. Failed pages resolve to { url, error }.
+   */
+  async renderAll(urls) {
+    return this.map(urls, url => this.render(url));
+  }
+
+  /**
+   * Run fn over URLs with at most `concurrency` in flight. Results keep the
+   * input order; a failed URL resolves to { url, error }.
+   */
+  async map(urls, fn) {
+    const results = new Array(urls.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < urls.length) {
+        const i = next++;
+        try {
+          results[i] = await fn(urls[i]);
+        } catch (err) {
+          results[i] = { url: urls[i], error: err.message.split('\n')[0] };
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, urls.length) }, worker));
+    return results;
+  }
+
+  async close() {
+    if (!this.browser) return;
+    await this.browser.close();
+    this.browser = null;
+    this.context = null;
+  }
+}
+
+module.exports = { Renderer };
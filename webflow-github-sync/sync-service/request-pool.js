@@ -0,0 +1,180 @@
+/**
+ * Shared request scheduler for the scraper
+ *
+ * Every fetchUrl call goes through one RequestPool, which keeps a sliding
+ * window of in-flight requests (a slot frees as soon as any request finishes,
+ * unlike fixed Promise.all batches), enforces a global and per-host concurrency
+ * limit plus a requests-per-second cap (10 by default, across all hosts; 0
+ * turns it off), and backs off a host when it answers 429/503 - honoring
+ * Retry-After and halving that host's concurrency, then growing it back one
+ * slot at a time as requests succeed. Throttled answers to requests already
+ * in flight when the host backed off count once, like a single congestion
+ * event; the pause doubles on each further backoff until the host is back at
+ * its full limit. The pool does not retry: a throttled response goes back to
+ * the caller as it is, and the caller's retry waits out the host's pause in
+ * the queue.
+ */
+
+const { URL } = require('url');
+
+const DEFAULT_CONCURRENCY = 8;
+const DEFAULT_PER_HOST = 4;
+const DEFAULT_REQUESTS_PER_SECOND = 10;
+const DEFAULT_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 60 * 1000;
+
+class RequestPool {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.perHost = options.perHost || DEFAULT_PER_HOST;
+    this.hostLimits = options.hostLimits || {};
+    this.requestsPerSecond = options.requestsPerSecond ?? DEFAULT_REQUESTS_PER_SECOND;
+    this.queue = [];
+    this.active = 0;
+    this.hosts = new Map();
+    this.nextStartAt = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Per-host state: configured limit, current (adaptive) limit, pause
+   * deadline, backoffs since the host was last at its full limit and when
+   * the latest one happened
+   */
+  hostState(host) {
+    if (!this.hosts.has(host)) {
+      const limit = this.hostLimits[host] || this.perHost;
+      this.hosts.set(host, { maxLimit: limit, limit, active: 0, pausedUntil: 0, successes: 0, backoffs: 0, backedOffAt: 0 });
+    }
+    return this.hosts.get(host);
+  }
+
+  /**
+   * Run task() when a slot is free for url's host. task resolves to a
+   * response-like { statusCode, headers }; a throttled one pauses the host.
+   */
+  schedule(url, task) {
+    let host;
+    try {
+      host = new URL(url).host;
+    } catch {
+      host = '';
+    }
+    return new Promise((resolve, reject) => {
+      this.queue.push({ host, task, resolve, reject });
+      this.pump();
+    });
+  }
+
+  /**
+   * Start every queued job that fits the limits; wake up later for paused
+   * hosts or the rate cap
+   */
+  pump() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    let wakeAt = Infinity;
+    for (let i = 0; i < this.queue.length && this.active < this.concurrency; i++) {
+      const job = this.queue[i];
+      const state = this.hostState(job.host);
+      const now = Date.now();
+
+      if (state.pausedUntil > now) {
+        wakeAt = Math.min(wakeAt, state.pausedUntil);
+        continue;
+      }
+      if (state.active >= state.limit) continue;
+      if (this.requestsPerSecond > 0 && this.nextStartAt > now) {
+        wakeAt = Math.min(wakeAt, this.nextStartAt);
+        break;
+      }
+
+      this.queue.splice(i, 1);
+      i--;
+      if (this.requestsPerSecond > 0) {
+        this.nextStartAt = Math.max(now, this.nextStartAt) + 1000 / this.requestsPerSecond;
+      }
+      this.start(job, state);
+    }
+
+    if (wakeAt !== Infinity && this.queue.length > 0) {
+      this.timer = setTimeout(() => this.pump(), Math.max(0, wakeAt - Date.now()));
+    }
+  }
+
+  async start(job, state) {
+    this.active++;
+    state.active++;
+    const startedAt = Date.now();
+
+    try {
+      const result = await job.task();
+      // Answers to requests sent before the last backoff say nothing new
+      if (startedAt >= state.backedOffAt) {
+        if (this.isThrottled(result)) this.backOff(state, result.headers || {});
+        else this.recordSuccess(state);
+      }
+      job.resolve(result);
+    } catch (err) {
+      job.reject(err);
+    } finally {
+      this.active--;
+      state.active--;
+      this.pump();
+    }
+  }
+
+  isThrottled(result) {
+    return result && (result.statusCode === 429 || result.statusCode === 503);
+  }
+
+  /**
+   * Pause the host for Retry-After (seconds or HTTP date), else exponential
+   * backoff, and halve its concurrency
+   */
+  backOff(state, headers) {
+    const retryAfter = headers['retry-after'];
+    let delay = DEFAULT_BACKOFF_MS * 2 ** state.backoffs;
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      delay = Number.isFinite(seconds) ? seconds * 1000 : new Date(retryAfter).getTime() - Date.now();
+    }
+    delay = Math.min(Math.max(delay, 0), MAX_BACKOFF_MS);
+
+    state.backoffs++;
+    state.backedOffAt = Date.now();
+    state.successes = 0;
+    state.limit = Math.max(1, Math.floor(state.limit / 2));
+    state.pausedUntil = Math.max(state.pausedUntil, state.backedOffAt + delay);
+  }
+
+  /**
+   * Additive increase: one more slot after `limit` consecutive successes.
+   * The backoff count resets once the host is back at its full limit.
+   */
+  recordSuccess(state) {
+    state.successes++;
+    if (state.limit < state.maxLimit && state.successes >= state.limit) {
+      state.limit++;
+      state.successes = 0;
+    }
+    if (state.limit === state.maxLimit) state.backoffs = 0;
+  }
+}
+
+/**
+ * Parse "host=limit,host2=limit" into { host: limit }
+ */
+function parseHostLimits(spec) {
+  const limits = {};
+  for (const pair of (spec || '').split(',')) {
+    const [host, limit] = pair.split('=').map(s => s && s.trim());
+    if (host && parseInt(limit, 10) > 0) limits[host] = parseInt(limit, 10);
+  }
+  return limits;
+}
+
+module.exports = { RequestPool, parseHostLimits };
@@ -0,0 +1,168 @@
+/**
+ * Visual regression screenshots (--screenshots)
+ *
+ * Takes full-page screenshots of changed pages at mobile, tablet and desktop
+ * widths and compares each with the copy the previous sync saved. The pixel
+ * diff runs in the headless browser (canvas) so no image library is needed,
+ * in horizontal tiles so tall pages stay within canvas size limits.
+ * Screenshots are saved as screenshots/<page>-<viewport>.png and only
+ * rewritten when a pixel changed; pages whose diff is over the threshold get
+ * a red-highlighted screenshots/diff/<page>-<viewport>.png for this sync,
+ * starting at the first changed tile and at most MAX_DIFF_HEIGHT tall.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const VIEWPORTS = {
+  mobile: { width: 375, height: 812 },
+  tablet: { width: 768, height: 1024 },
+  desktop: { width: 1440, height: 900 }
+};
+const DEFAULT_THRESHOLD_PERCENT = 1;
+// Per-channel difference ignored as anti-aliasing / image decoding noise
+const CHANNEL_TOLERANCE = 32;
+// Rows compared per canvas, and the tallest diff image written (Chromium
+// canvases stop working past 32767px or about 268M pixels)
+const TILE_HEIGHT = 2048;
+const MAX_DIFF_HEIGHT = 16384;
+
+class ScreenshotDiff {
+  /**
+   * renderer is a launched Renderer; fileName(url) gives the page's name
+   * as used for html/ (may contain directories)
+   */
+  constructor(outputDir, { renderer, fileName, threshold = DEFAULT_THRESHOLD_PERCENT }) {
+    this.dir = path.join(outputDir, 'screenshots');
+    this.diffDir = path.join(this.dir, 'diff');
+    this.renderer = renderer;
+    this.fileName = fileName;
+    this.threshold = threshold;
+  }
+
+  /**
+   * Screenshot and compare pages. Returns { captured, failed: [{ url, error }],
+   * changes: [{ url, viewport, diff, file, diffFile }] } where changes are the
+   * screenshots over the threshold (diff in percent of pixels).
+   */
+  async capture(urls) {
+    // Diff images describe the latest sync only
+    await fs.rm(this.diffDir, { recursive: true, force: true });
+    await fs.mkdir(this.dir, { recursive: true });
+
+    const results = await this.renderer.map(urls, async url => {
+      const changes = [];
+      for (const [viewport, size] of Object.entries(VIEWPORTS)) {
+        const change = await this.captureOne(url, viewport, size);
+        if (change) changes.push(change);
+      }
+      return { url, changes };
+    });
+
+    const failed = results.filter(r => r.error);
+    return {
+      captured: (results.length - failed.length) * Object.keys(VIEWPORTS).length,
+      failed,
+      changes: results.flatMap(r => r.changes || [])
+    };
+  }
+
+  async captureOne(url, viewport, size) {
+    const name = `${this.fileName(url)}-${viewport}.png`;
+    const file = path.join(this.dir, name);
+    const screenshot = await this.renderer.screenshot(url, size);
+    const previous = await fs.readFile(file).catch(() => null);
+    if (!previous) {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, screenshot);
+      return null;
+    }
+
+    const result = await this.compare(previous, screenshot);
+    if (result.different === 0) return null; // keep the old bytes - no churn
+    await fs.writeFile(file, screenshot);
+
+    const diff = Math.round((result.different / result.total) * 10000) / 100;
+    if (diff <= this.threshold) return null;
+    const diffFile = path.join(this.diffDir, name);
+    await fs.mkdir(path.dirname(diffFile), { recursive: true });
+    await fs.writeFile(diffFile, Buffer.from(result.image.split(',')[1], 'base64'));
+    return { url, viewport, diff, file: `screenshots/${name}`, diffFile: `screenshots/diff/${name}` };
+  }
+
+  /**
+   * Pixel diff of two PNGs in a blank tab: { different, total, image } where
+   * image is a data: URL of the new screenshot faded, differing pixels red,
+   * from the first tile with a difference. Size changes count the uncovered
+   * area as different.
+   */
+  async compare(before, after) {
+    const page = await this.renderer.newPage();
+    try {
+      return await page.evaluate(async ({ before, after, tolerance, tileHeight, maxDiffHeight }) => {
+        const load = src => new Promise((resolve, reject) => {
+          const img = new Image();
+          img.onload = () => resolve(img);
+          img.onerror = () => reject(new Error('Could not decode screenshot'));
+          img.src = src;
+        });
+        const [a, b] = await Promise.all([load(before), load(after)]);
+        const width = Math.max(a.width, b.width);
+        const height = Math.max(a.height, b.height);
+        const context = h => {
+          const c = document.createElement('canvas');
+          c.width = width;
+          c.height = h;
+          return c.getContext('2d');
+        };
+        const pixels = (img, top, h) => {
+          const ctx = context(h);
+          ctx.drawImage(img, 0, -top);
+          return ctx.getImageData(0, 0, width, h).data;
+        };
+
+        let different = 0;
+        let diff = null; // canvas context of the diff image, once a tile differs
+        let diffTop = 0;
+        for (let top = 0; top < height; top += tileHeight) {
+          const h = Math.min(tileHeight, height - top);
+          const pa = pixels(a, top, h);
+          const pb = pixels(b, top, h);
+          const out = new ImageData(width, h);
+          let tileDifferent = 0;
+          for (let i = 0; i < pa.length; i += 4) {
+            const delta = Math.max(
+              Math.abs(pa[i] - pb[i]), Math.abs(pa[i + 1] - pb[i + 1]),
+              Math.abs(pa[i + 2] - pb[i + 2]), Math.abs(pa[i + 3] - pb[i + 3])
+            );
+            if (delta > tolerance) {
+              tileDifferent++;
+              out.data.set([255, 0, 0, 255], i);
+            } else {
+              const faded = 255 - (255 - (pb[i] + pb[i + 1] + pb[i + 2]) / 3) * 0.3;
+              out.data.set([faded, faded, faded, 255], i);
+            }
+          }
+          different += tileDifferent;
+          if (!diff && tileDifferent > 0) {
+            diff = context(Math.min(maxDiffHeight, height - top));
+            diffTop = top;
+          }
+          if (diff && top - diffTop < maxDiffHeight) diff.putImageData(out, 0, top - diffTop);
+        }
+
+        return { different, total: width * height, image: diff ? diff.canvas.toDataURL('image/png') : null };
+      }, {
+        before: `data:image/png;base64,${before.toString('base64')}`,
+        after: `data:image/png;base64,${after.toString('base64')}`,
+        tolerance: CHANNEL_TOLERANCE,
+        tileHeight: TILE_HEIGHT,
+        maxDiffHeight: MAX_DIFF_HEIGHT
+      });
+    } finally {
+      await page.close();
+    }
+  }
+}
+
+module.exports = { ScreenshotDiff, VIEWPORTS, DEFAULT_THRESHOLD_PERCENT };
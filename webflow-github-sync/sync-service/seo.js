@@ -0,0 +1,181 @@
+/**
+ * Site-wide SEO index
+ *
+ * Extracts <title>, meta description, canonical, robots, Open Graph/Twitter
+ * tags, hreflang alternates, JSON-LD and image alt coverage from each page
+ * into metadata/seo.json, one record per page, and flags common problems
+ * across the whole site. Records of pages not re-fetched this sync are kept
+ * from the previous seo.json, so the index always covers every known page.
+ */
+
+const fs = require('fs').promises;
+const { startTags, decodeEntities } = require('./html');
+
+class SeoIndex {
+  constructor(siteUrl) {
+    this.siteUrl = siteUrl;
+    this.host = new URL(siteUrl).host;
+    this.pages = {};
+  }
+
+  /**
+   * Load records from the previous sync
+   */
+  async load(file) {
+    try {
+      this.pages = JSON.parse(await fs.readFile(file, 'utf-8')).pages || {};
+    } catch {
+      this.pages = {};
+    }
+  }
+
+  update(key, url, html) {
+    this.pages[key] = this.extract(url, html);
+  }
+
+  /**
+   * Keep only records for pages still in the mirror
+   */
+  retain(keys) {
+    const keep = new Set(keys);
+    Object.keys(this.pages).forEach(key => {
+      if (!keep.has(key)) delete this.pages[key];
+    });
+  }
+
+  /**
+   * One page's SEO record
+   */
+  extract(url, html) {
+    const head = (html.match(/<head[^>]*>([\s\S]*?)<\/head>/i) || [null, html])[1];
+    const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+    const meta = {};
+    const og = {};
+    const twitter = {};
+
+    for (const { attrs } of startTags(head, 'meta')) {
+      const key = (attrs.property || attrs.name || '').toLowerCase();
+      if (!key || attrs.content === undefined) continue;
+      if (key.startsWith('og:')) og[key.slice(3)] = attrs.content;
+      else if (key.startsWith('twitter:')) twitter[key.slice(8)] = attrs.content;
+      else meta[key] = attrs.content;
+    }
+
+    let canonical = null;
+    const hreflang = [];
+    for (const { attrs } of startTags(head, 'link')) {
+      const rel = (attrs.rel || '').toLowerCase().split(/\s+/);
+      if (rel.includes('canonical') && attrs.href) canonical = this.resolve(attrs.href, url);
+      if (rel.includes('alternate') && attrs.hreflang && attrs.href) {
+        hreflang.push({ lang: attrs.hreflang, href: this.resolve(attrs.href, url) });
+      }
+    }
+
+    const jsonLd = [];
+    for (const [, content] of html.matchAll(/<script\b[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi)) {
+      try {
+        jsonLd.push(JSON.parse(content));
+      } catch (err) {
+        jsonLd.push({ error: `Invalid JSON-LD: ${err.message}` });
+      }
+    }
+
+    const images = [];
+    for (const { attrs } of startTags(html, 'img')) {
+      // alt="" is valid for decorative images; only a missing attribute is flagged
+      if (attrs.alt === undefined) images.push(attrs.src ? this.resolve(attrs.src, url) : '(no src)');
+    }
+
+    return {
+      url,
+      title: title ? decodeEntities(title[1]).replace(/\s+/g, ' ').trim() : null,
+      description: meta.description ?? null,
+      canonical,
+      robots: meta.robots ?? null,
+      openGraph: og,
+      twitter,
+      hreflang,
+      jsonLd,
+      imagesMissingAlt: images
+    };
+  }
+
+  /**
+   * Site-wide problems. graph is the link graph ({ key: { links } }) used to
+   * find noindex pages other pages still link to.
+   */
+  analyze(graph = {}) {
+    const issues = [];
+    const entries = Object.entries(this.pages);
+
+    for (const field of ['title', 'description']) {
+      const byValue = new Map();
+      for (const [key, page] of entries) {
+        if (!page[field]) {
+          issues.push({ type: `missing-${field}`, page: key });
+          continue;
+        }
+        if (!byValue.has(page[field])) byValue.set(page[field], []);
+        byValue.get(page[field]).push(key);
+      }
+      for (const [value, keys] of byValue) {
+        if (keys.length > 1) issues.push({ type: `duplicate-${field}`, pages: keys.sort(), value });
+      }
+    }
+
+    const linkedFrom = new Map();
+    for (const [from, node] of Object.entries(graph)) {
+      for (const to of node.links || []) {
+        if (to === from) continue;
+        if (!linkedFrom.has(to)) linkedFrom.set(to, []);
+        linkedFrom.get(to).push(from);
+      }
+    }
+
+    for (const [key, page] of entries) {
+      if (page.canonical) {
+        try {
+          if (new URL(page.canonical).host !== this.host) {
+            issues.push({ type: 'offsite-canonical', page: key, canonical: page.canonical });
+          }
+        } catch {
+          issues.push({ type: 'invalid-canonical', page: key, canonical: page.canonical });
+        }
+      }
+      if (/\bnoindex\b/i.test(page.robots || '') && linkedFrom.has(key)) {
+        issues.push({ type: 'noindex-linked', page: key, linkedFrom: linkedFrom.get(key).sort() });
+      }
+      if (page.imagesMissingAlt.length > 0) {
+        issues.push({ type: 'images-missing-alt', page: key, images: page.imagesMissingAlt });
+      }
+      page.jsonLd.filter(block => block && block.error).forEach(block => {
+        issues.push({ type: 'invalid-json-ld', page: key, error: block.error });
+      });
+    }
+    return issues;
+  }
+
+  /**
+   * Write seo.json: sorted page records plus the issue list
+   */
+  async write(file, graph) {
+    const pages = {};
+    Object.keys(this.pages).sort().forEach(key => {
+      pages[key] = this.pages[key];
+    });
+    this.pages = pages;
+    const issues = this.analyze(graph);
+    await fs.writeFile(file, JSON.stringify({ siteUrl: this.siteUrl, issues, pages }, null, 2));
+    return issues;
+  }
+
+  resolve(href, baseUrl) {
+    try {
+      return new URL(href, baseUrl).href;
+    } catch {
+      return href;
+    }
+  }
+}
+
+module.exports = { SeoIndex };
@@ -0,0 +1,128 @@
+/**
+ * Include/exclude filters and per-path sync policies
+ *
+ * Patterns are globs over the URL path ("*" within one segment, "**" across
+ * segments, "/docs/**" also matches "/docs"), globs over the whole URL when
+ * they contain "://", or { "regex": "...", "flags": "i" } objects tested
+ * against the path (pages) or the full URL (assets).
+ *
+ * Policies set how long a page is trusted without a request, e.g.
+ * { "match": "/legal/**", "maxAge": "7d" }. The first matching policy wins;
+ * other pages use the site's maxAge (default 0 = revalidate every sync).
+ */
+
+// Webflow utility pages: password form, not-found page, site search results
+const DEFAULT_PAGE_EXCLUDES = ['/401', '/404', '/search'];
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+class SyncRules {
+  constructor(options = {}) {
+    const defaults = options.defaultExcludes === false ? [] : DEFAULT_PAGE_EXCLUDES;
+    this.include = this.compilePatterns(options.include);
+    this.exclude = this.compilePatterns([...defaults, ...(options.exclude || [])]);
+    this.includeAssets = this.compilePatterns(options.includeAssets, true);
+    this.excludeAssets = this.compilePatterns(options.excludeAssets, true);
+    this.maxAge = this.parseDurationOption(options.maxAge ?? 0, 'maxAge') ?? 0;
+    this.policies = [];
+    for (const policy of options.policies || []) {
+      const [matches] = this.compilePatterns([policy.match]);
+      if (!matches) continue;
+      const maxAge = this.parseDurationOption(policy.maxAge, `policy ${JSON.stringify(policy.match)}`);
+      if (maxAge !== null) this.policies.push({ matches, maxAge });
+    }
+  }
+
+  /**
+   * Compile patterns into (url) => boolean matchers. Invalid patterns are skipped.
+   */
+  compilePatterns(patterns = [], asset = false) {
+    const matchers = [];
+    for (const pattern of patterns) {
+      try {
+        matchers.push(this.compilePattern(pattern, asset));
+      } catch (err) {
+        console.warn(`⚠ Ignoring invalid URL pattern ${JSON.stringify(pattern)}: ${err.message}`);
+      }
+    }
+    return matchers;
+  }
+
+  compilePattern(pattern, asset) {
+    if (pattern && typeof pattern === 'object') {
+      if (!pattern.regex) throw new Error('expected a glob string or { regex }');
+      const regex = new RegExp(pattern.regex, (pattern.flags || '').replace('g', ''));
+      return url => regex.test(asset ? url : new URL(url).pathname);
+    }
+    if (typeof pattern !== 'string' || !pattern.trim()) throw new Error('expected a glob string or { regex }');
+
+    const glob = pattern.trim();
+    const wholeUrl = glob.includes('://');
+    const source = glob.replace(/\/+$/, '')
+      .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/(\/)?\*\*|\*/g, (token, slash) => (token === '*' ? '[^/]*' : slash ? '(?:/.*)?' : '.*'));
+    const regex = new RegExp(`^${source || '/'}/?$`);
+    return url => {
+      const u = new URL(url);
+      return regex.test(wholeUrl ? u.origin + u.pathname : u.pathname);
+    };
+  }
+
+  /**
+   * Pages: the home page is always included; with no include patterns every
+   * path is, minus the excludes
+   */
+  isPageIncluded(url) {
+    try {
+      if (new URL(url).pathname === '/') return true;
+      return this.matches(url, this.include, this.exclude);
+    } catch {
+      return false;
+    }
+  }
+
+  isAssetIncluded(url) {
+    try {
+      return this.matches(url, this.includeAssets, this.excludeAssets);
+    } catch {
+      return false;
+    }
+  }
+
+  matches(url, include, exclude) {
+    if (include.length > 0 && !include.some(test => test(url))) return false;
+    return !exclude.some(test => test(url));
+  }
+
+  /**
+   * How long (ms) a cached page is trusted without a request
+   */
+  maxAgeFor(url) {
+    const policy = this.policies.find(p => {
+      try {
+        return p.matches(url);
+      } catch {
+        return false;
+      }
+    });
+    return policy ? policy.maxAge : this.maxAge;
+  }
+
+  parseDurationOption(value, label) {
+    const ms = parseDuration(value);
+    if (ms === null) console.warn(`⚠ Ignoring invalid ${label} duration ${JSON.stringify(value)} - use e.g. 0, 30m, 12h, 7d`);
+    return ms;
+  }
+}
+
+/**
+ * Parse a duration: milliseconds as a number, or "90s", "30m", "12h", "7d",
+ * "2w". Returns null when invalid.
+ */
+function parseDuration(value) {
+  if (typeof value === 'number') return value >= 0 ? value : null;
+  const match = String(value ?? '').trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)?$/);
+  if (!match) return null;
+  return Math.round(parseFloat(match[1]) * DURATION_UNITS[match[2] || 'ms']);
+}
+
+module.exports = { SyncRules, parseDuration };
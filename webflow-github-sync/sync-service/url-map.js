@@ -0,0 +1,205 @@
+/**
+ * Output file naming (--layout) and metadata/url-map.json
+ *
+ * The "paths" layout (default) keeps the site's URL hierarchy:
+ *   https://example.com/blog/my-post   -> html/blog/my-post.html
+ *   https://example.com/css/site.css   -> css/example.com/css/site.css
+ *   https://cdn.example.com/a/b.js?v=2 -> js/cdn.example.com/a/b-<hash>.js
+ * The "flat" layout is the original naming (html/blog-my-post.html).
+ *
+ * Names are assigned once and remembered in url-map.json, so a page keeps
+ * its file across syncs. Two URLs that would share a file (/a-b and /a/b
+ * in the flat layout, /About and /about on a case-insensitive checkout) are
+ * detected and the later one gets a -<hash> suffix instead of overwriting.
+ * Media keep their content-hash names (assets/) and are only recorded.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { decodeEntities } = require('./html');
+
+const LAYOUTS = ['paths', 'flat'];
+const UNSAFE_CHARS = /[\x00-\x1f<>:"\\|?*]/g;
+const REFERENCE_ATTRIBUTE = /(\s(href|src|poster|data-src|srcset|style)\s*=\s*)(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;
+const STYLE_ELEMENT = /(<style\b[^>]*>)([\s\S]*?)(<\/style\s*>)/gi;
+const CSS_URL = /url\(\s*(['"]?)([^'")]+)\1\s*\)/gi;
+
+class UrlMap {
+  constructor(layout = 'paths') {
+    if (!LAYOUTS.includes(layout)) throw new Error(`Unknown layout "${layout}" - use ${LAYOUTS.join(' or ')}`);
+    this.layout = layout;
+    this.pages = {}; // page cache key -> html/...
+    this.assets = {}; // stylesheet/script URL -> css/... or js/...
+    this.owners = new Map(); // lower-cased file -> URL
+    this.collisions = [];
+  }
+
+  /**
+   * Read a saved url-map.json: { layout, pages, assets } or null
+   */
+  static async read(file) {
+    try {
+      const data = JSON.parse(await fs.readFile(file, 'utf-8'));
+      return data && typeof data.pages === 'object' ? data : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Take over the assignments of a saved map with the same layout
+   */
+  restore(saved) {
+    for (const [url, file] of Object.entries(saved.pages || {})) this.claim(url, file, 'pages');
+    for (const [url, file] of Object.entries(saved.assets || {})) {
+      if (/^(?:css|js)\//.test(file)) this.claim(url, file, 'assets');
+    }
+  }
+
+  /**
+   * html/ file for a page (by normalized cache key)
+   */
+  pageFile(key) {
+    return this.pages[key] || this.assign(key, `html/${this.pageName(key, '.html')}`, 'pages');
+  }
+
+  /**
+   * css/ or js/ file for a stylesheet or script URL
+   */
+  assetFile(url, type) {
+    return this.assets[url] || this.assign(url, `${type}/${this.assetName(url, `.${type}`)}`, 'assets');
+  }
+
+  /**
+   * Layout name of a page relative to html/, e.g. blog/my-post + ext
+   */
+  pageName(url, ext) {
+    if (this.layout === 'flat') return urlToFilename(url, ext);
+    const segments = pathSegments(url).map(s => s.replace(/\.html?$/i, ''));
+    return (segments.length > 0 ? segments.join('/') : 'index') + ext;
+  }
+
+  assetName(url, ext) {
+    if (this.layout === 'flat') return urlToFilename(url, ext);
+    const u = new URL(url);
+    const segments = pathSegments(url);
+    if (segments.length === 0) segments.push('index');
+    let name = segments.join('/');
+    if (name.toLowerCase().endsWith(ext)) name = name.slice(0, -ext.length);
+    if (u.search) name += `-${hash(u.search)}`;
+    name += ext;
+    const host = u.port ? `${u.hostname}-${u.port}` : u.hostname;
+    return `${host}/${name}`;
+  }
+
+  assign(url, file, kind) {
+    let assigned = file;
+    const owner = this.owners.get(file.toLowerCase());
+    if (owner && owner !== url) {
+      const ext = file.match(/\.[^./]+$/)?.[0] || '';
+      assigned = `${file.slice(0, file.length - ext.length)}-${hash(url)}${ext}`;
+      this.collisions.push({ url, file: assigned, conflictsWith: owner });
+      console.warn(`⚠ ${url} and ${owner} both map to ${file} - saving ${url} as ${assigned}`);
+    }
+    this.claim(url, assigned, kind);
+    return assigned;
+  }
+
+  claim(url, file, kind) {
+    this[kind][url] = file;
+    this.owners.set(file.toLowerCase(), url);
+  }
+
+  /**
+   * Forget a page or asset so its name can be reused
+   */
+  release(url) {
+    for (const kind of ['pages', 'assets']) {
+      const file = this[kind][url];
+      if (!file) continue;
+      if (this.owners.get(file.toLowerCase()) === url) this.owners.delete(file.toLowerCase());
+      delete this[kind][url];
+    }
+  }
+
+  /**
+   * url-map.json contents: pages still in the cache and the file of every
+   * cached asset
+   */
+  toJSON(cache) {
+    const pages = {};
+    const assets = {};
+    for (const key of Object.keys(this.pages).sort()) {
+      if (cache[key]) pages[key] = this.pages[key];
+    }
+    for (const url of Object.keys(cache.assets || {}).sort()) {
+      if (cache.assets[url].file) assets[url] = cache.assets[url].file;
+    }
+    return { layout: this.layout, pages, assets };
+  }
+}
+
+/**
+ * Decoded, filesystem-safe path segments of a URL
+ */
+function pathSegments(url) {
+  return new URL(url).pathname.split('/').filter(Boolean).map(segment => {
+    let decoded = segment;
+    try {
+      decoded = decodeURIComponent(segment);
+    } catch {}
+    decoded = decoded.replace(UNSAFE_CHARS, '-').replace(/\//g, '-');
+    return decoded === '.' || decoded === '..' ? '-' : decoded;
+  });
+}
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex').slice(0, 8);
+}
+
+/**
+ * Flat, filesystem-safe name for a URL's path (about/team -> about-team.html)
+ */
+function urlToFilename(url, ext = '.html') {
+  try {
+    const u = new URL(url);
+    let name = u.pathname || 'index';
+    if (name === '/' || name === '') name = 'index';
+    name = name.replace(/^\//, '').replace(/\/$/, '') || 'index';
+    name = name.replace(/\.html?$/i, '');
+    name = name.replace(/[^a-zA-Z0-9-_]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
+    return (name || 'index') + ext;
+  } catch {
+    return 'page' + Math.random().toString(36).slice(2) + ext;
+  }
+}
+
+/**
+ * Pass every reference through rewrite(value): in HTML the href, src,
+ * poster, data-src and srcset attributes (quoted or not, entities decoded)
+ * and url() in style attributes and <style> blocks; in CSS (type 'css')
+ * every url(). Attributes rewrite() leaves alone are kept as written.
+ */
+function mapReferences(content, rewrite, type = 'html') {
+  const mapCss = css => css.replace(CSS_URL, (match, quote, value) => `url(${quote}${rewrite(value)}${quote})`);
+  if (type === 'css') return mapCss(content);
+
+  return content.replace(REFERENCE_ATTRIBUTE, (match, prefix, name, double, single, bare) => {
+    const value = decodeEntities(double ?? single ?? bare);
+    const attribute = name.toLowerCase();
+    const mapped = attribute === 'style'
+      ? mapCss(value)
+      : attribute === 'srcset'
+        ? value.split(',').map(candidate => {
+          const [src, ...descriptor] = candidate.trim().split(/\s+/);
+          return [rewrite(src), ...descriptor].join(' ');
+        }).join(', ')
+        : rewrite(value);
+    if (mapped === value) return match;
+    const quote = single !== undefined ? "'" : '"';
+    const escaped = mapped.replace(/&/g, '&amp;').replace(quote === '"' ? /"/g : /'/g, quote === '"' ? '&quot;' : '&#39;');
+    return `${prefix}${quote}${escaped}${quote}`;
+  }).replace(STYLE_ELEMENT, (match, open, css, close) => open + mapCss(css) + close);
+}
+
+module.exports = { UrlMap, LAYOUTS, urlToFilename, mapReferences };
@@ -1,7 +1,12 @@
 /**
  * Cloudflare Worker - Webflow Webhook Receiver
  * 
- * Receives Webflow publish webhooks and triggers GitHub Actions via repository_dispatch
+ * Receives Webflow publish webhooks and triggers GitHub Actions via repository_dispatch.
+ * Webhooks must carry a valid Webflow HMAC signature (WEBFLOW_WEBHOOK_SECRET).
+ * Bursts of publishes are coalesced by the WebhookDebouncer Durable Object into
+ * a single dispatch per site per DEBOUNCE_WINDOW_SECONDS. With SITE_MAP set,
+ * webhooks are routed to the named site in webflow-sync.config.json and
+ * webhooks from unmapped sites are ignored.
  * 
  * Routes:
  * - GET /health - Health check
@@ -13,10 +18,20 @@
 const CORS_HEADERS = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-webflow-signature, x-webflow-timestamp',
   'Access-Control-Max-Age': '86400',
 };
 
+// Webhooks older than this are rejected as replays
+const SIGNATURE_MAX_AGE_MS = 5 * 60 * 1000;
+const DEFAULT_DEBOUNCE_WINDOW_SECONDS = 30;
+const COLLECTION_ITEM_EVENTS = [
+  'collection_item_created',
+  'collection_item_changed',
+  'collection_item_deleted',
+  'collection_item_unpublished',
+];
+
 /**
  * Trigger GitHub Actions workflow via repository_dispatch
  */
@@ -45,11 +60,183 @@ async function triggerGitHubWorkflow(githubToken, githubRepo, eventType = 'webfl
 }
 
 /**
- * Validate Webflow webhook signature (optional - Webflow may send X-Webflow-Signature)
+ * Hex-encoded HMAC-SHA256 via Web Crypto
+ */
+async function hmacSha256Hex(secret, message) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+  return Array.from(new Uint8Array(signature))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Constant-time string comparison (avoids leaking how many characters match)
+ */
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Verify a Webflow webhook: x-webflow-signature must be the HMAC-SHA256 of
+ * "<x-webflow-timestamp>:<raw body>" keyed with the webhook secret, and the
+ * timestamp (ms) must be recent. Returns { valid, reason }.
  */
-function isValidWebflowRequest(request) {
+async function verifyWebflowSignature(request, rawBody, secret) {
   const contentType = request.headers.get('Content-Type') || '';
-  return contentType.includes('application/json') || contentType.includes('application/x-www-form-urlencoded');
+  if (!contentType.includes('application/json')) {
+    return { valid: false, reason: 'unsupported_content_type' };
+  }
+
+  const signature = request.headers.get('x-webflow-signature');
+  const timestamp = request.headers.get('x-webflow-timestamp');
+  if (!signature || !timestamp) {
+    return { valid: false, reason: 'missing_signature' };
+  }
+
+  const sentAt = Number(timestamp);
+  if (!Number.isFinite(sentAt)) {
+    return { valid: false, reason: 'invalid_timestamp' };
+  }
+  if (Math.abs(Date.now() - sentAt) > SIGNATURE_MAX_AGE_MS) {
+    return { valid: false, reason: 'stale_timestamp' };
+  }
+
+  const expected = await hmacSha256Hex(secret, `${timestamp}:${rawBody}`);
+  if (!timingSafeEqual(expected, signature.trim().toLowerCase())) {
+    return { valid: false, reason: 'invalid_signature' };
+  }
+
+  return { valid: true, reason: null };
+}
+
+/**
+ * SITE_MAP is JSON mapping Webflow site IDs to site names in
+ * webflow-sync.config.json, e.g. {"64f1...": "marketing"}. Returns null when
+ * unset (every webhook is dispatched and the scraper matches by site ID).
+ */
+function parseSiteMap(env) {
+  if (!env.SITE_MAP) return null;
+  try {
+    return JSON.parse(env.SITE_MAP);
+  } catch (err) {
+    throw new Error(`Invalid SITE_MAP: ${err.message}`);
+  }
+}
+
+function debounceWindowSeconds(env) {
+  return Number(env.DEBOUNCE_WINDOW_SECONDS ?? DEFAULT_DEBOUNCE_WINDOW_SECONDS);
+}
+
+/**
+ * Merge queued webhook events into one repository_dispatch client_payload.
+ * targets lists CMS item slugs for a targeted re-sync; it is empty (meaning
+ * "check every page") unless every event is a collection item event with a slug.
+ */
+function buildDispatchPayload(events) {
+  const unique = (values) => [...new Set(values.filter(Boolean))];
+  const latest = events[events.length - 1];
+  const items = events.filter(e => e.item).map(e => ({ ...e.item, event: e.event }));
+  const targeted = items.length === events.length && items.every(item => item.slug);
+  return {
+    source: 'webflow',
+    event: latest.event,
+    events: unique(events.map(e => e.event)),
+    site: latest.site || null,
+    site_ids: unique(events.map(e => e.site_id)),
+    site_id: latest.site_id,
+    published_at: latest.published_at,
+    first_received_at: events[0].received_at,
+    count: events.length,
+    items,
+    collection_ids: unique(items.map(item => item.collection_id)),
+    targets: targeted ? unique(items.map(item => item.slug)) : [],
+  };
+}
+
+/**
+ * Queue an event in the debouncer, or dispatch right away when debouncing is
+ * disabled (no WEBHOOK_DEBOUNCER binding or a window of 0)
+ */
+async function queueOrDispatch(env, event) {
+  if (!env.WEBHOOK_DEBOUNCER || !(debounceWindowSeconds(env) > 0)) {
+    await triggerGitHubWorkflow(env.GITHUB_TOKEN, env.GITHUB_REPO, 'webflow_publish', buildDispatchPayload([event]));
+    return;
+  }
+
+  // One debouncer per site, so a burst on one site never re-targets another
+  const site = event.site || event.site_id;
+  const id = env.WEBHOOK_DEBOUNCER.idFromName(site ? `${env.GITHUB_REPO}:${site}` : env.GITHUB_REPO);
+  const response = await env.WEBHOOK_DEBOUNCER.get(id).fetch('https://debouncer/enqueue', {
+    method: 'POST',
+    body: JSON.stringify(event),
+  });
+  if (!response.ok) {
+    throw new Error(`Debouncer error ${response.status}: ${await response.text()}`);
+  }
+}
+
+/**
+ * Durable Object that collects webhook events and fires a single
+ * repository_dispatch when its alarm goes off. The window starts at the first
+ * event of a burst and is not extended, so a steady stream of publishes still
+ * syncs at least once per window.
+ */
+export class WebhookDebouncer {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  async fetch(request) {
+    const event = await request.json();
+    const pending = (await this.state.storage.get('pending')) || [];
+    pending.push(event);
+    await this.state.storage.put('pending', pending);
+
+    if ((await this.state.storage.getAlarm()) === null) {
+      await this.state.storage.setAlarm(Date.now() + debounceWindowSeconds(this.env) * 1000);
+    }
+
+    return new Response(JSON.stringify({ queued: pending.length }), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  async alarm() {
+    const pending = (await this.state.storage.get('pending')) || [];
+    if (pending.length === 0) return;
+
+    // A throw here makes the runtime retry the alarm; events stay queued until dispatched
+    await triggerGitHubWorkflow(
+      this.env.GITHUB_TOKEN,
+      this.env.GITHUB_REPO,
+      'webflow_publish',
+      buildDispatchPayload(pending)
+    );
+
+    // Keep events that arrived while the dispatch was in flight for the next window
+    const latest = (await this.state.storage.get('pending')) || [];
+    const remaining = latest.slice(pending.length);
+    if (remaining.length > 0) {
+      await this.state.storage.put('pending', remaining);
+      await this.state.storage.setAlarm(Date.now() + debounceWindowSeconds(this.env) * 1000);
+    } else {
+      await this.state.storage.delete('pending');
+    }
+  }
 }
 
 export default {
@@ -90,7 +277,8 @@ export default {
             endpoint: '/webhook/webflow',
             method: 'POST',
             description: 'Webflow publish webhook receiver - triggers GitHub Actions sync',
-            events: ['site_publish', 'site_unpublish'],
+            authentication: 'x-webflow-signature / x-webflow-timestamp (HMAC-SHA256)',
+            events: ['site_publish', 'site_unpublish', ...COLLECTION_ITEM_EVENTS],
             status: 'active',
           }),
           {
@@ -107,9 +295,10 @@ export default {
       if (url.pathname === '/webhook/webflow' && request.method === 'POST') {
         const githubToken = env.GITHUB_TOKEN;
         const githubRepo = env.GITHUB_REPO;
+        const webhookSecret = env.WEBFLOW_WEBHOOK_SECRET;
 
-        if (!githubToken || !githubRepo) {
-          console.error('Missing GITHUB_TOKEN or GITHUB_REPO');
+        if (!githubToken || !githubRepo || !webhookSecret) {
+          console.error('Missing GITHUB_TOKEN, GITHUB_REPO or WEBFLOW_WEBHOOK_SECRET');
           return new Response(
             JSON.stringify({ error: 'Server configuration error' }),
             {
@@ -122,29 +311,77 @@ export default {
           );
         }
 
+        // The signature covers the raw body, so read it exactly once
+        const text = await request.text();
+        const verification = await verifyWebflowSignature(request, text, webhookSecret);
+        if (!verification.valid) {
+          console.warn('Rejected webhook:', verification.reason);
+          return new Response(
+            JSON.stringify({ error: 'Unauthorized', reason: verification.reason }),
+            {
+              status: 401,
+              headers: {
+                'Content-Type': 'application/json',
+                ...CORS_HEADERS,
+              },
+            }
+          );
+        }
+
         let payload = {};
         try {
-          const text = await request.text();
           if (text) {
             payload = JSON.parse(text);
           }
         } catch (e) {
-          // Non-JSON body is ok - we still trigger the workflow
+          // Signed but non-JSON body is ok - we still trigger the workflow
           payload = { raw: true };
         }
 
         const eventType = payload.triggerType || payload.type || 'site_publish';
+        // Webflow v2 webhooks nest the event details under "payload"
+        const details = payload.payload || payload;
+
+        const event = {
+          event: eventType,
+          site_id: details.siteId || payload.siteId || payload.site,
+          published_at: details.publishedAt || payload.publishedAt || new Date().toISOString(),
+          received_at: new Date().toISOString(),
+        };
+
+        const siteMap = parseSiteMap(env);
+        if (siteMap) {
+          event.site = siteMap[event.site_id] || null;
+          if (!event.site) {
+            // 200 so Webflow does not retry a webhook we will never handle
+            console.warn('Ignored webhook for unmapped site:', event.site_id);
+            return new Response(
+              JSON.stringify({ received: true, ignored: true, reason: 'unknown_site' }),
+              {
+                status: 200,
+                headers: {
+                  'Content-Type': 'application/json',
+                  ...CORS_HEADERS,
+                },
+              }
+            );
+          }
+        }
+
+        // CMS item events carry the item slug so the scraper can re-sync just that page
+        if (COLLECTION_ITEM_EVENTS.includes(eventType)) {
+          event.item = {
+            id: details.id || details._id,
+            collection_id: details.collectionId || details._cid,
+            slug: details.fieldData?.slug || details.slug || null,
+          };
+        }
 
         // Respond immediately with 200 OK (Webflow expects fast response)
         ctx.waitUntil(
           (async () => {
             try {
-              await triggerGitHubWorkflow(githubToken, githubRepo, 'webflow_publish', {
-                source: 'webflow',
-                event: eventType,
-                published_at: payload.publishedAt || new Date().toISOString(),
-                site_id: payload.siteId || payload.site,
-              });
+              await queueOrDispatch(env, event);
             } catch (err) {
               console.error('Failed to trigger GitHub Actions:', err.message);
             }
@@ -155,7 +392,8 @@ export default {
           JSON.stringify({
             received: true,
             event: eventType,
-            message: 'Webhook received - sync triggered',
+            site: event.site,
+            message: 'Webhook received - sync queued',
           }),
           {
             status: 200,